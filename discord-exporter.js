@@ -1,8 +1,8 @@
 // ==UserScript==
 // @name         Discord Thread Exporter (Full) - Emoji, Avatars, Sorting & Sanitization
 // @namespace    https://github.com/therealgorgan
-// @version      1.3.4
-// @description  Adds an Export Thread button to Discord. Export options include images/videos/gifs, reactions, embeds, inline emojis, avatars, embed-as-data-URI, sort order, theme and output format (HTML/CSV/JSON/TXT). Filters GIF picker content (Tenor/Giphy) separately from user uploads. Sanitizes message HTML per options and auto-detects DOM message ordering. Uses GM_xmlhttpRequest for media fetching when embedding requested. Designed for Tampermonkey/Greasemonkey.
+// @version      1.28.0
+// @description  Adds an Export Thread button to Discord. Export options include images/videos/gifs, reactions, embeds, inline emojis, avatars, embed-as-data-URI, sort order, theme and output format (HTML/CSV/JSON/TXT/Markdown). Filters GIF picker content (Tenor/Giphy) separately from user uploads. Sanitizes message HTML per options and auto-detects DOM message ordering. Uses GM_xmlhttpRequest for media fetching when embedding requested. Designed for Tampermonkey/Greasemonkey.
 // @author       therealgorgan
 // @match        https://discord.com/channels/*
 // @grant        GM_xmlhttpRequest
@@ -22,6 +22,151 @@ Notes:
 - For large threads and many media files the export may take time and produce a large file if you choose to embed media as data URIs.
 - If Discord changes DOM structure significantly, selectors may need adjustments. If you encounter that, paste a sanitized sample outerHTML of a message and I'll update the selectors.
 
+Changelog v1.28.0:
+- Export files are built piece by piece into Blob parts instead of one giant string; media inside message content is inlined in a single pass
+- Fetched media is kept as Blobs; data URIs are only created for the volume being written and dropped afterwards, and ZIP archives are assembled one file at a time
+- Optional split into volumes by message count and/or size, one file per volume (-vol001, -vol002, ...)
+- HTML and Markdown volumes link to the previous and next volume; replies link into whichever volume holds the original message
+- JSON volumes carry a volume field; stats and the emoji inventory cover the whole export and are written to the first volume
+- Fix: Markdown wraps nested spoilers once and percent-encodes spaces and parentheses in link URLs
+- Fix: date range and "after message ID" apply to the next export or batch only and are no longer saved with the options
+- Fix: join messages are recognized by Discord's welcome message templates instead of loose keywords
+- Fix: media responses with status 0 or any other non-2xx status are failures; the completion notification names the first failed assets and why
+- Fix: embed parts, mentions, reply text, role colors, file names/sizes, reaction counts, pinned and edited markers and content stripping use the selector registry too; hashed class names were dropped from the defaults
+- Fix: media cache lookups are read-only; last-use times are written in one batch when the cache is pruned
+- Fix: redaction gives users who share a display name separate pseudonyms
+- Fix: incremental exports with message filters record the newest message in range, not the newest kept one, and no longer save an empty file when everything new was filtered out (the marker still moves past them and the notice says so)
+- Fix: batch exports show the progress panel with Pause and Cancel; the batch dialog notes that confirmation and the merge file are not used
+- Fix: redaction pseudonymizes known names and @mentions in reply snippets and embed text, resolves reply authors by user ID (or the replied-to message) and replaces the channel title with a neutral label
+- Fix: the media cache is only opened when the export dialog is shown with caching on, and reading its usage no longer writes to it
+- Fix: "Stop and export what was collected" only ends message loading; media for the collected messages is still fetched, and assets that were never fetched are listed as failures
+- Fix: forum thread cards, sidebar thread links and message list items are looked up through the selector registry as well
+- Fix: cached media over the per-asset size limit is skipped like a download would be; the export size cap stops new requests instead of dropping assets that already arrived, and skipped assets are reported
+
+Changelog v1.27.0:
+- Media requests retry network errors, timeouts, 429 and 5xx responses with exponential backoff, honoring Retry-After
+- Configurable per-request timeout, maximum size per asset and maximum media per export
+- HTTP error responses are no longer saved as media
+- Assets that could not be fetched are listed in the completion notification, the progress log, a section of HTML exports and a mediaFailures field in JSON
+
+Changelog v1.26.0:
+- All DOM selectors (container, messages, headers, timestamps, content, embeds, attachments, reactions, ...) live in one registry with ordered fallbacks
+- Selector lists can be overridden per role with JSON saved in localStorage
+- New Diagnose button shows how many nodes each selector matches on the current page
+
+Changelog v1.25.0:
+- A progress panel shows the phase (loading / extracting / fetching / building), counts, elapsed time, ETA and a live log
+- Exports can be paused and resumed while scrolling and while fetching media
+- Cancel offers to export the messages collected so far (saved with a -partial suffix) or to discard them
+
+Changelog v1.24.0:
+- Message content goes through an allowlist sanitizer (tags, attributes, URL schemes) before any export is built
+- Scripts, iframes, forms, inline event handlers and javascript: links are removed; the confirmation shows how many were stripped
+- HTML exports carry a restrictive Content-Security-Policy; the viewer and spoiler scripts run with a per-file nonce
+
+Changelog v1.23.0:
+- Fetched media is cached in IndexedDB between exports (attachments keyed by attachment ID, so expiring links still hit)
+- Cache has a size cap with least-recently-used eviction; the options modal shows its size and has a Clear cache button
+- Progress text shows cache hits and misses while fetching assets
+
+Changelog v1.22.0:
+- Messages now carry the author's stable user ID (from the avatar URL or data attributes), username when exposed, bot/APP tag and role color
+- Continuation messages inherit the whole author identity, not just name and avatar
+- Display names no longer include the BOT/APP tag; reply previews no longer leak their avatar into the message
+- Statistics and redaction pseudonyms are keyed by user ID, so nickname changes and duplicate names are handled
+
+Changelog v1.21.0:
+- Messages now list the custom emoji they use (name, ID, animated, URL) and their stickers (name, ID, URL, format)
+- Stickers render as stickers in every format instead of being filtered out as emoji
+- JSON gets a top-level emojis inventory with usage counts (in messages and as reactions)
+- Optional custom emoji legend in HTML exports
+
+Changelog v1.20.0:
+- Messages now carry a type (default, reply, join, boost, thread_created, pin, system) and edited / editedAt / pinned flags
+- "(edited)" markers are taken out of the content and rendered separately with their edit time
+- System messages (joins, boosts, pins, thread created) are rendered compactly; a filter can drop them
+- Pin notices mark the pinned message when it is part of the export
+
+Changelog v1.19.0:
+- Added "Discord" HTML theme that mirrors the client: consecutive messages from one author are grouped under one header
+- Discord theme: hover timestamps on grouped messages, role-colored usernames, code blocks, click-to-reveal spoilers, blockquote bars
+- Messages now carry isContinuation and roleColor (also in JSON)
+
+Changelog v1.18.0:
+- Added optional interactive HTML viewer: full-text search with highlighting, author and date filters, jump-to-date
+- Sticky header with shown/total message counts and a light/dark toggle at view time
+- The viewer is embedded in the HTML file, so exports stay single-file and work offline
+
+Changelog v1.17.0:
+- Added redaction mode for sharing exports: authors become stable pseudonyms (User 1, User 2, ... in order of appearance)
+- Redaction strips avatars, replaces user mentions and reply authors, and masks configurable regex patterns (emails, tokens, IPs)
+- Redaction applies to every format; the pseudonym mapping can be saved as a separate -redaction-map.csv
+
+Changelog v1.16.0:
+- Added message filters: include/exclude authors, keyword or regex on message text
+- Added has-attachment / has-link / has-reaction filter toggles
+- Author list can be filled from the visible/last loaded messages; the confirmation shows how many were filtered out
+
+Changelog v1.15.0:
+- Added export statistics: messages per author, first/last post, media counts and busiest hours
+- HTML exports start with a summary block, JSON exports carry a stats object
+- Optional -stats.csv companion file with one row per author
+
+Changelog v1.14.0:
+- User, role and channel mentions are extracted into a mentions array (type, ID, name)
+- HTML renders mentions as chips; Markdown/TXT/CSV render them as @name / #channel
+- JSON carries mention IDs for downstream linking; CSV gets a mentions column
+
+Changelog v1.13.0:
+- Added an attachments model: filename, size, MIME guess, kind (image/video/audio/file) and URL
+- Uploaded PDFs, archives, audio and code/text files are no longer dropped
+- Audio renders as <audio> in HTML; files are fetched with other media when embedding or zipping
+
+Changelog v1.12.0:
+- Embeds are parsed into { provider, author, title, url, description, fields, thumbnail, image, color, footer }
+- HTML renders embeds as self-styled cards instead of re-injecting Discord's markup
+- JSON/CSV/TXT/Markdown show the clean embed fields; embed thumbnails/images are fetched with other media
+
+Changelog v1.11.0:
+- Reply references are captured into a replyTo field (referenced message ID, author, snippet)
+- The reply preview is no longer mistaken for the message content or its images
+- HTML/Markdown show a quoted reply header linking to the original message when it is in the export
+
+Changelog v1.10.0:
+- Reactions are parsed into { emoji, emojiUrl, count, me } instead of noisy text/aria-label strings
+- JSON carries the structure, CSV/TXT/Markdown use stable "emoji:count" cells, HTML renders reaction pills
+- Custom reaction emoji images join the media embedding pipeline
+
+Changelog v1.9.0:
+- Added Markdown export format for wikis and GitHub issues
+- Discord markup (bold, italics, code blocks, spoilers, blockquotes, mentions, links) is converted to Markdown
+- Each message gets an author/time heading, attachments become image/link syntax, reactions a line below
+
+Changelog v1.8.0:
+- Added ZIP output: the document plus a media/ folder holding the fetched files
+- Document references to media are rewritten to relative media/ paths for offline browsing
+- Text documents are deflated when the browser supports CompressionStream, media is stored
+
+Changelog v1.7.0:
+- Added batch export: a list of channel/thread URLs, or all threads of a forum channel/sidebar
+- Each channel is opened in turn and exported to its own file, followed by an index file
+- Batch progress and queue are saved to localStorage and can be resumed after a page reload
+
+Changelog v1.6.0:
+- The newest exported message ID/timestamp is now remembered per channel
+- Added "Incremental" mode: loads only until the last exported message and outputs just the new ones
+- Incremental JSON exports can be merged into a previously exported JSON file
+
+Changelog v1.5.0:
+- Added date range (from/to) and "after message ID" export options
+- Auto-scroll stops once it has loaded past the lower bound of the range
+- Messages outside the range are dropped before any output is built
+
+Changelog v1.4.0:
+- Messages are now collected on every scroll round while their nodes are still attached
+- Long threads are no longer truncated by Discord's virtualized message list
+- Collected messages are de-duplicated by message ID and ordered by snowflake/timestamp
+
 Changelog v1.3.4:
 - Added GIF picker detection (Tenor, Giphy, Gfycat, Imgur)
 - GIF picker videos (mp4) are now filtered when "Include GIFs" is unchecked
@@ -64,8 +209,22 @@ Changelog v1.3.0:
   const MAX_SCROLL_ROUNDS = 350;
   const STABLE_CHECKS = 5;
   const IMAGE_FETCH_CONCURRENCY = 6;
+  const BLOB_PART_CHARS = 1 << 20;   // builder output is packed into a Blob part every ~1M characters
+  const FETCH_BACKOFF_MS = 1000;     // first retry delay, doubled on every further attempt
+  const MAX_RETRY_WAIT_MS = 60000;   // longest wait between attempts, also caps Retry-After
   const STORAGE_KEY = 'dte_options_v1_full';
+  const EXPORT_STATE_KEY = 'dte_export_state_v1';
+  const BATCH_KEY = 'dte_batch_v1';
+  const SELECTORS_KEY = 'dte_selectors_v1'; // user overrides for DEFAULT_SELECTORS
+  const NAVIGATION_TIMEOUT = 20000; // ms to wait for a batch channel's messages to appear
   const DEBUG_KEY = 'dte_debug';
+  const REDACTED_TEXT = '[redacted]';
+  const REDACTED_TITLE = 'Discord Export (redacted)'; // DM tab titles carry the other user's name
+  const DEFAULT_REDACT_PATTERNS = [
+    '[\\w.+-]+@[\\w-]+(\\.[\\w-]+)+',                  // email addresses
+    '\\b\\d{1,3}(\\.\\d{1,3}){3}\\b',                  // IPv4 addresses
+    '\\b[\\w-]{24,28}\\.[\\w-]{6}\\.[\\w-]{27,38}\\b'  // Discord-style tokens
+  ].join('\n');
 
   // Debug logging
   function debugLog(...args) {
@@ -79,16 +238,47 @@ Changelog v1.3.0:
     includeImages: true,
     includeVideos: true,
     includeGifs: true,
+    includeFiles: true,         // non-image attachments (PDFs, archives, audio, text files)
     includeReactions: true,     // reaction counts
     includeEmbeds: true,        // link previews, embeds
     includeInlineEmojis: true,  // small inline emoji images inside messages
     includeAvatars: true,       // user avatar icons next to messages
     embedMedia: true,           // convert media to data URIs and embed
+    zipOutput: false,           // package the document with a media/ folder in a ZIP archive
     sort: 'ascending',          // 'ascending' = oldest -> newest, 'descending' = newest -> oldest
     theme: 'light',             // 'light' or 'dark'
-    format: 'html',             // 'html', 'csv', 'json', 'txt'
-    showConfirmation: true      // show pre-export confirmation dialog
+    format: 'html',             // 'html', 'csv', 'json', 'txt', 'md'
+    dateFrom: '',               // 'YYYY-MM-DD' - only export messages on/after this day
+    dateTo: '',                 // 'YYYY-MM-DD' - only export messages on/before this day
+    afterMessageId: '',         // only export messages newer than this message ID
+    incremental: false,         // only export messages newer than the last export of this channel
+    showConfirmation: true,     // show pre-export confirmation dialog
+    includeStats: true,         // summary block in HTML, stats object in JSON
+    statsCsv: false,            // also write a -stats.csv companion file
+    filterAuthorMode: 'all',    // 'all', 'include' (only filterAuthors) or 'exclude' (all but filterAuthors)
+    filterAuthors: [],
+    filterText: '',             // keyword (or regex when filterRegex) the message text must match
+    filterRegex: false,
+    filterHasAttachment: false, // only messages with images/videos/files
+    filterHasLink: false,       // only messages with links or embeds
+    filterHasReaction: false,   // only messages with reactions
+    dropSystemMessages: false,  // leave out joins, boosts, pins, thread created, ...
+    redact: false,              // pseudonymize authors/mentions, strip avatars, mask redactPatterns
+    redactPatterns: DEFAULT_REDACT_PATTERNS, // one regex per line, matches are replaced with [redacted]
+    redactMappingCsv: false,    // also save the pseudonym -> author table (-redaction-map.csv)
+    interactiveHtml: false,     // HTML: embed the search/filter/theme viewer script
+    emojiLegend: false,         // HTML: custom emoji inventory with usage counts
+    mediaCache: true,           // keep fetched media in IndexedDB between exports
+    mediaCacheMB: 250,          // cache size cap; least recently used media is evicted first
+    fetchRetries: 3,            // extra attempts for failed, timed out, 429 and 5xx media requests
+    fetchTimeoutSec: 30,        // per media request
+    maxAssetMB: 50,             // larger assets keep their remote URL (0 = no limit)
+    maxExportMB: 1000,          // total media fetched per export (0 = no limit)
+    splitMessages: 0,           // start a new volume (file) after this many messages (0 = off)
+    splitMB: 0                  // start a new volume once a file reaches about this size (0 = off)
   };
+  // Range options apply to the export they were entered for and are never saved
+  const ONE_OFF_OPTIONS = ['dateFrom', 'dateTo', 'afterMessageId'];
 
   // ---------- Utilities ----------
   function loadOptions() {
@@ -96,13 +286,39 @@ Changelog v1.3.0:
       const raw = localStorage.getItem(STORAGE_KEY);
       if (!raw) return { ...DEFAULT_OPTIONS };
       const parsed = JSON.parse(raw);
+      ONE_OFF_OPTIONS.forEach(k => delete parsed[k]);
       return Object.assign({}, DEFAULT_OPTIONS, parsed);
     } catch (e) {
       return { ...DEFAULT_OPTIONS };
     }
   }
   function saveOptions(opts) {
-    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(opts)); } catch (e) {}
+    const saved = Object.assign({}, opts);
+    ONE_OFF_OPTIONS.forEach(k => delete saved[k]);
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(saved)); } catch (e) {}
+  }
+
+  // Per-channel record of the newest exported message: { [channelKey]: { messageId, timestamp, exportedAt } }
+  function loadExportState() {
+    try {
+      const raw = localStorage.getItem(EXPORT_STATE_KEY);
+      return raw ? (JSON.parse(raw) || {}) : {};
+    } catch (e) {
+      return {};
+    }
+  }
+  function saveExportState(state) {
+    try { localStorage.setItem(EXPORT_STATE_KEY, JSON.stringify(state)); } catch (e) {}
+  }
+
+  // "/channels/<guild>/<channel>" - ignores a trailing message ID from jump links
+  function getChannelKey(url) {
+    try {
+      const parts = new URL(url || window.location.href).pathname.split('/').filter(Boolean);
+      return '/' + parts.slice(0, 3).join('/');
+    } catch (e) {
+      return window.location.pathname;
+    }
   }
 
   function el(tag, attrs = {}, children = []) {
@@ -120,6 +336,11 @@ Changelog v1.3.0:
     return node;
   }
 
+  function escapeHtml(s) {
+    if (!s) return '';
+    return String(s).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;').replaceAll("'", '&#39;');
+  }
+
   // ---------- URL normalization and splitting ----------
   // Discord sometimes produces concatenated URLs like:
   // "https://cdn.discordapp.com/emojis/123.png?size=16/assets/abc.svg/assets/def.svg"
@@ -495,11 +716,99 @@ Changelog v1.3.0:
     return false;
   }
 
+  // ---------- Custom emoji and stickers ----------
+  // Custom emoji live at cdn.discordapp.com/emojis/<id>.<ext>; animated ones are .gif or ?animated=true
+  function parseCustomEmojiUrl(url) {
+    const m = /\/emojis\/(\d+)\.(\w+)/i.exec(url || '');
+    if (!m) return null;
+    return { id: m[1], animated: m[2].toLowerCase() === 'gif' || /[?&]animated=true/i.test(url) };
+  }
+
+  function emojiNameFromImg(img) {
+    const raw = img.getAttribute('data-name') || img.getAttribute('alt') || img.getAttribute('aria-label') || '';
+    return raw.trim().replace(/^:|:$/g, '');
+  }
+
+  function isStickerImage(img) {
+    const src = img.src || img.getAttribute('src') || '';
+    return /\/stickers\/\d+/i.test(src) || !!img.closest(selectorUnion('sticker'));
+  }
+
+  // One entry per emoji ID with the number of times it appears in the message
+  function extractCustomEmojis(msgEl, skip) {
+    const byId = new Map();
+    msgEl.querySelectorAll(selectorUnion('customEmoji')).forEach(img => {
+      if (skip(img)) return;
+      const url = img.src || img.getAttribute('src') || '';
+      const parsed = parseCustomEmojiUrl(url);
+      if (!parsed) return;
+      const existing = byId.get(parsed.id);
+      if (existing) existing.count++;
+      else byId.set(parsed.id, { name: emojiNameFromImg(img), id: parsed.id, animated: parsed.animated, url, count: 1 });
+    });
+    return Array.from(byId.values());
+  }
+
+  // Lottie stickers are drawn on a canvas and have no image URL; they keep their name only
+  function extractStickers(msgEl, skip) {
+    const stickers = [];
+    const seen = new Set();
+    msgEl.querySelectorAll(selectorUnion('sticker')).forEach(node => {
+      if (skip(node)) return;
+      const img = node.tagName === 'IMG' ? node : node.querySelector('img');
+      const url = img ? (img.src || img.getAttribute('src') || '') : '';
+      const idMatch = /\/stickers\/(\d+)(?:\.(\w+))?/i.exec(url);
+      const name = ((img && (img.getAttribute('alt') || img.getAttribute('aria-label'))) || node.getAttribute('aria-label') || '').trim();
+      const key = idMatch ? idMatch[1] : name;
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      stickers.push({
+        name,
+        id: idMatch ? idMatch[1] : '',
+        url: idMatch ? url : '',
+        format: idMatch ? (idMatch[2] || 'png').toLowerCase() : 'lottie'
+      });
+    });
+    return stickers;
+  }
+
+  // Export-wide custom emoji table: uses = occurrences in message text, reactions = reaction count
+  function buildEmojiInventory(messages) {
+    const byKey = new Map();
+    const entry = (e) => {
+      const key = e.id || e.name;
+      if (!byKey.has(key)) byKey.set(key, { name: e.name, id: e.id, animated: !!e.animated, url: e.url, uses: 0, messages: 0, reactions: 0 });
+      const x = byKey.get(key);
+      if (!x.name && e.name) x.name = e.name;
+      return x;
+    };
+    messages.forEach(m => {
+      (m.customEmojis || []).forEach(e => {
+        const x = entry(e);
+        x.uses += e.count || 1;
+        x.messages++;
+      });
+      (m.reactions || []).forEach(r => {
+        const parsed = parseCustomEmojiUrl(r.emojiUrl);
+        if (!parsed) return;
+        entry({ name: (r.emoji || '').replace(/^:|:$/g, ''), id: parsed.id, animated: parsed.animated, url: r.emojiUrl }).reactions += r.count || 1;
+      });
+    });
+    return Array.from(byKey.values())
+      .sort((a, b) => (b.uses + b.reactions) - (a.uses + a.reactions) || (a.name || '').localeCompare(b.name || ''));
+  }
+
+  function formatSticker(s, imageMap) {
+    const src = s.url ? ((imageMap[s.url] && imageMap[s.url].dataUri) ? imageMap[s.url].dataUri : s.url) : '';
+    return (s.name || 'Sticker') + (src ? ' (' + src + ')' : ' (' + s.format + ')');
+  }
+
   // ---------- UI: Floating button & Modal ----------
   const opts = loadOptions();
   let exportBtn = null;
   let modal = null;
   let confirmModal = null;
+  let mergeFile = null; // previous JSON export picked in the options modal (not persisted)
 
   function createFloatingButton() {
     const btn = document.getElementById('dte-export-btn') || document.createElement('button');
@@ -556,22 +865,38 @@ Changelog v1.3.0:
     const chImages = checkboxRow('images', 'Include images');
     const chVideos = checkboxRow('videos', 'Include videos');
     const chGifs = checkboxRow('gifs', 'Include GIFs / animated webp');
+    const chFiles = checkboxRow('files', 'Include file attachments (PDF, zip, audio, text)');
     const chReacts = checkboxRow('reactions', 'Include reactions (reaction counts)');
     const chEmbeds = checkboxRow('embeds', 'Include embeds (cards/previews)');
     const chInlineEmojis = checkboxRow('inlineemojis', 'Include inline emojis (small icons inside messages)');
     const chAvatars = checkboxRow('avatars', 'Include avatars (user icons)');
     const chEmbedMedia = checkboxRow('embedmedia', 'Embed media as data URIs (may make file large)');
+    const chZip = checkboxRow('zip', 'Package as ZIP (document + media/ folder)');
+    const chMediaCache = checkboxRow('mediacache', 'Cache fetched media between exports');
     const chConfirm = checkboxRow('confirm', 'Show confirmation before export');
+    const chStats = checkboxRow('stats', 'Include statistics summary (HTML/JSON)');
+    const chStatsCsv = checkboxRow('statscsv', 'Also save a -stats.csv file (per author)');
+    const chInteractive = checkboxRow('interactive', 'Interactive HTML viewer (search, filters, theme toggle)');
+    const chEmojiLegend = checkboxRow('emojilegend', 'Custom emoji legend in HTML (usage counts)');
+    const chIncremental = checkboxRow('incremental', 'Incremental (only messages newer than the last export)');
 
     left.appendChild(chImages.row);
     left.appendChild(chVideos.row);
     left.appendChild(chGifs.row);
+    left.appendChild(chFiles.row);
     left.appendChild(chReacts.row);
     left.appendChild(chEmbeds.row);
     left.appendChild(chInlineEmojis.row);
     left.appendChild(chAvatars.row);
     left.appendChild(chEmbedMedia.row);
+    left.appendChild(chZip.row);
+    left.appendChild(chMediaCache.row);
     left.appendChild(chConfirm.row);
+    left.appendChild(chStats.row);
+    left.appendChild(chStatsCsv.row);
+    left.appendChild(chInteractive.row);
+    left.appendChild(chEmojiLegend.row);
+    left.appendChild(chIncremental.row);
 
     // Right column
     const right = el('div', {});
@@ -580,10 +905,77 @@ Changelog v1.3.0:
     ['ascending', 'descending'].forEach(s => sortSelect.appendChild(el('option', { value: s }, s[0].toUpperCase() + s.slice(1))));
     const themeLabel = el('div', { style: { marginBottom: '8px' } }, 'Theme for HTML export:');
     const themeSelect = el('select', { id: 'dte-theme', style: { width: '100%', padding: '6px', marginBottom: '10px' } });
-    ['light', 'dark'].forEach(t => themeSelect.appendChild(el('option', { value: t }, t[0].toUpperCase() + t.slice(1))));
+    ['light', 'dark', 'discord'].forEach(t => themeSelect.appendChild(el('option', { value: t }, t[0].toUpperCase() + t.slice(1))));
     const formatLabel = el('div', { style: { marginBottom: '8px' } }, 'Export format:');
     const formatSelect = el('select', { id: 'dte-format', style: { width: '100%', padding: '6px', marginBottom: '10px' } });
-    ['html', 'csv', 'json', 'txt'].forEach(f => formatSelect.appendChild(el('option', { value: f }, f.toUpperCase())));
+    [['html', 'HTML'], ['csv', 'CSV'], ['json', 'JSON'], ['txt', 'TXT'], ['md', 'Markdown']].forEach(([f, label]) => formatSelect.appendChild(el('option', { value: f }, label)));
+
+    // Range: date bounds and/or a message ID to start after
+    const rangeLabel = el('div', { style: { marginBottom: '8px' } }, 'Date range (optional, this export only):');
+    const rangeRow = el('div', { style: { display: 'flex', gap: '6px', marginBottom: '10px' } });
+    const dateFromInput = el('input', { type: 'date', id: 'dte-date-from', title: 'From (inclusive)', style: { flex: '1', padding: '5px', minWidth: '0' } });
+    const dateToInput = el('input', { type: 'date', id: 'dte-date-to', title: 'To (inclusive)', style: { flex: '1', padding: '5px', minWidth: '0' } });
+    rangeRow.appendChild(dateFromInput);
+    rangeRow.appendChild(dateToInput);
+    const afterIdLabel = el('div', { style: { marginBottom: '8px' } }, 'After message ID or link (optional, this export only):');
+    const afterIdInput = el('input', { type: 'text', id: 'dte-after-id', placeholder: 'e.g. 1234567890123456789', style: { width: '100%', padding: '6px', marginBottom: '10px', boxSizing: 'border-box' } });
+
+    // Incremental JSON: previous export to merge new messages into (picked here - needs a user gesture)
+    const mergeLabel = el('div', { style: { marginBottom: '8px' } }, 'Merge into previous JSON export (incremental JSON only):');
+    const mergeInput = el('input', { type: 'file', id: 'dte-merge-file', accept: '.json,application/json', style: { width: '100%', marginBottom: '10px', fontSize: '12px' } });
+
+    // Media cache: size cap, current usage and a way to empty it
+    const cacheLabel = el('div', { style: { marginBottom: '8px' } }, 'Media cache limit (MB):');
+    const cacheRow = el('div', { style: { display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '10px' } });
+    const cacheSizeInput = el('input', { type: 'number', id: 'dte-cache-mb', min: '1', step: '1', style: { width: '90px', padding: '5px' } });
+    const clearCacheBtn = el('button', { style: { padding: '5px 10px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Clear cache');
+    const cacheUsage = el('span', { style: { fontSize: '12px', color: '#666' } }, '');
+    cacheRow.appendChild(cacheSizeInput);
+    cacheRow.appendChild(clearCacheBtn);
+    cacheRow.appendChild(cacheUsage);
+    // Only touches IndexedDB while the modal is open with caching on
+    function refreshCacheUsage() {
+      if (!chMediaCache.cb.checked) {
+        cacheUsage.textContent = 'off';
+        return;
+      }
+      openMediaCache().then(db => db ? getMediaCacheUsage(db) : null).then(usage => {
+        cacheUsage.textContent = usage ? usage.count + ' files, ' + formatBytes(usage.bytes) : 'unavailable';
+      });
+    }
+    clearCacheBtn.addEventListener('click', async () => {
+      const db = await openMediaCache();
+      if (db) await clearMediaCache(db);
+      refreshCacheUsage();
+    });
+    chMediaCache.cb.addEventListener('change', refreshCacheUsage);
+
+    // Media fetching: retries, per-request timeout and size caps
+    const fetchLabel = el('div', { style: { marginBottom: '8px' } }, 'Media fetching (0 MB = no limit):');
+    const fetchRow = el('div', { style: { display: 'grid', gridTemplateColumns: 'auto 70px auto 70px', gap: '6px', alignItems: 'center', marginBottom: '10px', fontSize: '12px' } });
+    const numberInput = (id) => el('input', { type: 'number', id, min: '0', step: '1', style: { width: '100%', boxSizing: 'border-box', padding: '4px' } });
+    const retriesInput = numberInput('dte-fetch-retries');
+    const timeoutInput = numberInput('dte-fetch-timeout');
+    const maxAssetInput = numberInput('dte-max-asset-mb');
+    const maxExportInput = numberInput('dte-max-export-mb');
+    fetchRow.appendChild(el('span', {}, 'Retries'));
+    fetchRow.appendChild(retriesInput);
+    fetchRow.appendChild(el('span', {}, 'Timeout (s)'));
+    fetchRow.appendChild(timeoutInput);
+    fetchRow.appendChild(el('span', {}, 'Max MB / file'));
+    fetchRow.appendChild(maxAssetInput);
+    fetchRow.appendChild(el('span', {}, 'Max MB / export'));
+    fetchRow.appendChild(maxExportInput);
+
+    // Volumes: split very large exports into several linked files
+    const splitLabel = el('div', { style: { marginBottom: '8px' } }, 'Split into volumes (0 = off):');
+    const splitRow = el('div', { style: { display: 'grid', gridTemplateColumns: 'auto 70px auto 70px', gap: '6px', alignItems: 'center', marginBottom: '10px', fontSize: '12px' } });
+    const splitMessagesInput = numberInput('dte-split-messages');
+    const splitMBInput = numberInput('dte-split-mb');
+    splitRow.appendChild(el('span', {}, 'Messages'));
+    splitRow.appendChild(splitMessagesInput);
+    splitRow.appendChild(el('span', {}, 'MB'));
+    splitRow.appendChild(splitMBInput);
 
     // Debug mode toggle
     const debugLabel = el('div', { style: { marginTop: '12px', marginBottom: '8px', fontSize: '12px', color: '#666' } }, 'Debug mode (logs to console):');
@@ -600,21 +992,99 @@ Changelog v1.3.0:
     right.appendChild(themeSelect);
     right.appendChild(formatLabel);
     right.appendChild(formatSelect);
+    right.appendChild(rangeLabel);
+    right.appendChild(rangeRow);
+    right.appendChild(afterIdLabel);
+    right.appendChild(afterIdInput);
+    right.appendChild(mergeLabel);
+    right.appendChild(mergeInput);
+    right.appendChild(cacheLabel);
+    right.appendChild(cacheRow);
+    right.appendChild(fetchLabel);
+    right.appendChild(fetchRow);
+    right.appendChild(splitLabel);
+    right.appendChild(splitRow);
     right.appendChild(debugLabel);
     right.appendChild(debugSelect);
 
     form.appendChild(left);
     form.appendChild(right);
 
+    // Redaction (for sharing exports outside the server)
+    const redactBox = el('fieldset', { style: { border: '1px solid #ddd', borderRadius: '8px', padding: '10px 12px', marginBottom: '12px' } });
+    redactBox.appendChild(el('legend', { style: { fontSize: '13px', padding: '0 4px' } }, 'Redaction'));
+    const chRedact = checkboxRow('redact', 'Redact: pseudonyms for authors and mentions, no avatars, mask patterns below');
+    const chRedactMap = checkboxRow('redactmap', 'Also save the pseudonym mapping as a separate -redaction-map.csv');
+    const redactPatternsLabel = el('div', { style: { marginBottom: '6px', fontSize: '12px', color: '#666' } }, 'Mask patterns (one regex per line, replaced with ' + REDACTED_TEXT + '):');
+    const redactPatternsInput = el('textarea', { id: 'dte-redact-patterns', rows: '3', spellcheck: 'false', style: { width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '12px', padding: '6px' } });
+    redactBox.appendChild(chRedact.row);
+    redactBox.appendChild(chRedactMap.row);
+    redactBox.appendChild(redactPatternsLabel);
+    redactBox.appendChild(redactPatternsInput);
+
+    // Filters (applied to the extracted messages)
+    const filterBox = el('fieldset', { style: { border: '1px solid #ddd', borderRadius: '8px', padding: '10px 12px', marginBottom: '12px' } });
+    filterBox.appendChild(el('legend', { style: { fontSize: '13px', padding: '0 4px' } }, 'Filters'));
+    const authorRow = el('div', { style: { display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' } });
+    const authorModeSelect = el('select', { id: 'dte-filter-author-mode', style: { padding: '6px' } });
+    [['all', 'All authors'], ['include', 'Only selected authors'], ['exclude', 'All except selected authors']].forEach(([v, label]) => authorModeSelect.appendChild(el('option', { value: v }, label)));
+    const scanAuthorsBtn = el('button', { title: 'Collect authors from the loaded messages', style: { padding: '6px 10px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Scan authors');
+    authorRow.appendChild(authorModeSelect);
+    authorRow.appendChild(scanAuthorsBtn);
+    const authorList = el('select', { id: 'dte-filter-authors', multiple: 'multiple', size: '4', style: { width: '100%', marginBottom: '8px', fontSize: '12px' } });
+    const textRow = el('div', { style: { display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' } });
+    const filterTextInput = el('input', { type: 'text', id: 'dte-filter-text', placeholder: 'Keyword in message text (optional)', style: { flex: '1', padding: '6px' } });
+    const chRegex = checkboxRow('regex', 'Regex');
+    chRegex.row.style.marginBottom = '0';
+    textRow.appendChild(filterTextInput);
+    textRow.appendChild(chRegex.row);
+    const toggleRow = el('div', { style: { display: 'flex', gap: '16px', flexWrap: 'wrap' } });
+    const chHasAttachment = checkboxRow('hasattachment', 'Has attachment');
+    const chHasLink = checkboxRow('haslink', 'Has link');
+    const chHasReaction = checkboxRow('hasreaction', 'Has reaction');
+    const chDropSystem = checkboxRow('dropsystem', 'Drop system messages');
+    toggleRow.appendChild(chHasAttachment.row);
+    toggleRow.appendChild(chHasLink.row);
+    toggleRow.appendChild(chHasReaction.row);
+    toggleRow.appendChild(chDropSystem.row);
+    filterBox.appendChild(authorRow);
+    filterBox.appendChild(authorList);
+    filterBox.appendChild(textRow);
+    filterBox.appendChild(toggleRow);
+
+    // Keeps current selections, adds newly found names
+    function setAuthorOptions(names, selected) {
+      const chosen = new Set(selected);
+      const all = Array.from(new Set(names.concat(Array.from(chosen)))).sort((a, b) => a.localeCompare(b));
+      authorList.innerHTML = '';
+      all.forEach(n => {
+        const o = el('option', { value: n }, n);
+        o.selected = chosen.has(n);
+        authorList.appendChild(o);
+      });
+    }
+    scanAuthorsBtn.addEventListener('click', () => {
+      collectVisibleMessages(opts);
+      const selected = Array.from(authorList.selectedOptions).map(o => o.value);
+      setAuthorOptions(getBufferedAuthors(), selected);
+      scanAuthorsBtn.textContent = 'Scan authors (' + authorList.options.length + ')';
+    });
+
     const buttons = el('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '8px' } });
     const cancelBtn = el('button', { style: { padding: '8px 12px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Cancel');
     const goBtn = el('button', { style: { padding: '8px 12px', borderRadius: '6px', border: 'none', background: '#5865F2', color: '#fff' } }, 'Export');
+    const batchBtn = el('button', { title: 'Export several channels/threads with these options', style: { padding: '8px 12px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Batch...');
+    const diagnoseBtn = el('button', { title: 'Check which DOM selectors match on this page and edit overrides', style: { padding: '8px 12px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff', marginRight: 'auto' } }, 'Diagnose...');
 
+    buttons.appendChild(batchBtn);
+    buttons.appendChild(diagnoseBtn);
     buttons.appendChild(cancelBtn);
     buttons.appendChild(goBtn);
 
     box.appendChild(title);
     box.appendChild(form);
+    box.appendChild(filterBox);
+    box.appendChild(redactBox);
     box.appendChild(buttons);
     backdrop.appendChild(box);
     document.body.appendChild(backdrop);
@@ -623,36 +1093,150 @@ Changelog v1.3.0:
     chImages.cb.checked = !!opts.includeImages;
     chVideos.cb.checked = !!opts.includeVideos;
     chGifs.cb.checked = !!opts.includeGifs;
+    chFiles.cb.checked = opts.includeFiles !== false;
     chReacts.cb.checked = !!opts.includeReactions;
     chEmbeds.cb.checked = !!opts.includeEmbeds;
     chInlineEmojis.cb.checked = !!opts.includeInlineEmojis;
     chAvatars.cb.checked = !!opts.includeAvatars;
     chEmbedMedia.cb.checked = !!opts.embedMedia;
+    chZip.cb.checked = !!opts.zipOutput;
     chConfirm.cb.checked = opts.showConfirmation !== false;
+    chStats.cb.checked = opts.includeStats !== false;
+    chStatsCsv.cb.checked = !!opts.statsCsv;
+    chInteractive.cb.checked = !!opts.interactiveHtml;
+    chEmojiLegend.cb.checked = !!opts.emojiLegend;
+    chMediaCache.cb.checked = opts.mediaCache !== false;
+    cacheSizeInput.value = opts.mediaCacheMB || DEFAULT_OPTIONS.mediaCacheMB;
+    const fetchSettings = getFetchSettings(opts);
+    retriesInput.value = fetchSettings.retries;
+    timeoutInput.value = fetchSettings.timeoutMs / 1000;
+    maxAssetInput.value = fetchSettings.maxAssetBytes / 1024 / 1024;
+    maxExportInput.value = fetchSettings.maxExportBytes / 1024 / 1024;
+    splitMessagesInput.value = opts.splitMessages || 0;
+    splitMBInput.value = opts.splitMB || 0;
+    chIncremental.cb.checked = !!opts.incremental;
     sortSelect.value = opts.sort || 'ascending';
     themeSelect.value = opts.theme || 'light';
     formatSelect.value = opts.format || 'html';
+    dateFromInput.value = opts.dateFrom || '';
+    dateToInput.value = opts.dateTo || '';
+    afterIdInput.value = opts.afterMessageId || '';
+    authorModeSelect.value = opts.filterAuthorMode || 'all';
+    setAuthorOptions([], opts.filterAuthors || []);
+    filterTextInput.value = opts.filterText || '';
+    chRegex.cb.checked = !!opts.filterRegex;
+    chHasAttachment.cb.checked = !!opts.filterHasAttachment;
+    chHasLink.cb.checked = !!opts.filterHasLink;
+    chHasReaction.cb.checked = !!opts.filterHasReaction;
+    chDropSystem.cb.checked = !!opts.dropSystemMessages;
+    chRedact.cb.checked = !!opts.redact;
+    chRedactMap.cb.checked = !!opts.redactMappingCsv;
+    redactPatternsInput.value = typeof opts.redactPatterns === 'string' ? opts.redactPatterns : DEFAULT_REDACT_PATTERNS;
 
     cancelBtn.addEventListener('click', () => closeModal());
-    goBtn.addEventListener('click', () => {
+    // Copy form values into opts; returns false if the form is invalid
+    function applyForm() {
       opts.includeImages = chImages.cb.checked;
       opts.includeVideos = chVideos.cb.checked;
       opts.includeGifs = chGifs.cb.checked;
+      opts.includeFiles = chFiles.cb.checked;
       opts.includeReactions = chReacts.cb.checked;
       opts.includeEmbeds = chEmbeds.cb.checked;
       opts.includeInlineEmojis = chInlineEmojis.cb.checked;
       opts.includeAvatars = chAvatars.cb.checked;
       opts.embedMedia = chEmbedMedia.cb.checked;
+      opts.zipOutput = chZip.cb.checked;
       opts.showConfirmation = chConfirm.cb.checked;
+      opts.includeStats = chStats.cb.checked;
+      opts.statsCsv = chStatsCsv.cb.checked;
+      opts.interactiveHtml = chInteractive.cb.checked;
+      opts.emojiLegend = chEmojiLegend.cb.checked;
+      opts.mediaCache = chMediaCache.cb.checked;
+      opts.mediaCacheMB = Number(cacheSizeInput.value);
+      if (!(opts.mediaCacheMB > 0)) {
+        alert('Media cache limit must be a positive number of MB');
+        return false;
+      }
+      const fetchInputs = [retriesInput, timeoutInput, maxAssetInput, maxExportInput];
+      const fetchValues = fetchInputs.map(i => Number(i.value));
+      if (fetchInputs.some(i => i.value.trim() === '') || fetchValues.some(v => isNaN(v) || v < 0)) {
+        alert('Media fetching settings must be zero or positive numbers');
+        return false;
+      }
+      if (!(fetchValues[1] > 0)) {
+        alert('Media request timeout must be at least 1 second');
+        return false;
+      }
+      [opts.fetchRetries, opts.fetchTimeoutSec, opts.maxAssetMB, opts.maxExportMB] = fetchValues;
+      const splitMessages = Number(splitMessagesInput.value || 0);
+      const splitMB = Number(splitMBInput.value || 0);
+      if (isNaN(splitMessages) || isNaN(splitMB) || splitMessages < 0 || splitMB < 0) {
+        alert('Volume split settings must be zero or positive numbers');
+        return false;
+      }
+      opts.splitMessages = Math.floor(splitMessages);
+      opts.splitMB = splitMB;
+      opts.incremental = chIncremental.cb.checked;
+      mergeFile = (mergeInput.files && mergeInput.files[0]) || null;
       opts.sort = sortSelect.value;
       opts.theme = themeSelect.value;
       opts.format = formatSelect.value;
+      opts.dateFrom = dateFromInput.value;
+      opts.dateTo = dateToInput.value;
+      opts.afterMessageId = afterIdInput.value.trim();
+      if (opts.afterMessageId && !parseMessageIdInput(opts.afterMessageId)) {
+        alert('Could not find a message ID in: ' + opts.afterMessageId);
+        return false;
+      }
+      opts.filterAuthorMode = authorModeSelect.value;
+      opts.filterAuthors = Array.from(authorList.selectedOptions).map(o => o.value);
+      opts.filterText = filterTextInput.value;
+      opts.filterRegex = chRegex.cb.checked;
+      opts.filterHasAttachment = chHasAttachment.cb.checked;
+      opts.filterHasLink = chHasLink.cb.checked;
+      opts.filterHasReaction = chHasReaction.cb.checked;
+      opts.dropSystemMessages = chDropSystem.cb.checked;
+      if (opts.filterRegex && opts.filterText) {
+        try { new RegExp(opts.filterText, 'i'); } catch (e) {
+          alert('Invalid regex: ' + e.message);
+          return false;
+        }
+      }
+      opts.redact = chRedact.cb.checked;
+      opts.redactMappingCsv = chRedactMap.cb.checked;
+      opts.redactPatterns = redactPatternsInput.value;
+      try { parseRedactPatterns(opts.redactPatterns); } catch (e) {
+        alert('Invalid mask pattern: ' + e.message);
+        return false;
+      }
       saveOptions(opts);
+      return true;
+    }
+
+    // The range is handed to one export (or batch) and then cleared so it can't limit later runs
+    function takeOptions() {
+      const snapshot = Object.assign({}, opts);
+      ONE_OFF_OPTIONS.forEach(k => { opts[k] = ''; });
+      dateFromInput.value = '';
+      dateToInput.value = '';
+      afterIdInput.value = '';
+      return snapshot;
+    }
+
+    goBtn.addEventListener('click', () => {
+      if (!applyForm()) return;
+      closeModal();
+      runExportWithOptions(takeOptions());
+    });
+    batchBtn.addEventListener('click', () => {
+      if (!applyForm()) return;
       closeModal();
-      runExportWithOptions(opts);
+      createBatchModal(takeOptions());
     });
+    diagnoseBtn.addEventListener('click', () => createSelectorModal());
 
     backdrop.style.display = 'none'; // hidden until opened
+    backdrop.refreshCacheUsage = refreshCacheUsage;
     modal = backdrop;
     return modal;
   }
@@ -675,8 +1259,12 @@ Changelog v1.3.0:
       'Messages: ' + stats.messageCount + '<br>' +
       'Images: ' + stats.imageCount + '<br>' +
       'Videos: ' + stats.videoCount + '<br>' +
+      (stats.filteredOut ? 'Filtered out: ' + stats.filteredOut + ' message(s)<br>' : '') +
       'Emojis filtered: ' + stats.emojisFiltered + '<br>' +
-      (stats.embedMedia ? '<em>Media will be embedded as data URIs (larger file)</em>' : '<em>Media will be linked (smaller file)</em>');
+      (stats.sanitizedNodes || stats.sanitizedAttributes
+        ? 'Unsafe HTML removed: ' + (stats.sanitizedNodes || 0) + ' node(s), ' + (stats.sanitizedAttributes || 0) + ' attribute(s)<br>' : '') +
+      (stats.zipOutput ? '<em>Media will be stored as files in a ZIP archive</em>' :
+        (stats.embedMedia ? '<em>Media will be embedded as data URIs (larger file)</em>' : '<em>Media will be linked (smaller file)</em>'));
 
     const buttons = el('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '8px' } });
     const cancelBtn = el('button', { style: { padding: '8px 12px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Cancel');
@@ -703,37 +1291,541 @@ Changelog v1.3.0:
     return backdrop;
   }
 
-  function openModal() { if (!modal) createModal(); modal.style.display = 'flex'; }
+  function createBatchModal(options) {
+    const backdrop = el('div', { id: 'dte-batch-backdrop' });
+    Object.assign(backdrop.style, {
+      position: 'fixed', inset: '0', background: 'rgba(0,0,0,0.45)', zIndex: 2147483647, display: 'flex', alignItems: 'center', justifyContent: 'center'
+    });
+
+    const box = el('div', { id: 'dte-batch-modal' });
+    Object.assign(box.style, {
+      width: '560px', background: '#fff', borderRadius: '10px', padding: '18px', boxShadow: '0 18px 50px rgba(0,0,0,0.45)', color: '#111', fontFamily: 'Inter, Roboto, Arial, sans-serif'
+    });
+
+    const title = el('h3', { style: { margin: '0 0 8px 0' } }, 'Batch Export');
+    const hint = el('div', { style: { fontSize: '13px', color: '#555', marginBottom: '8px' } },
+      'One channel/thread URL per line. Each is opened in turn and exported with the current options (' + (options.format || 'html').toUpperCase() + '), followed by an index file. ' +
+      'The confirmation dialog and the JSON merge file are not used in batch mode.');
+    const textarea = el('textarea', { id: 'dte-batch-urls', rows: '10', placeholder: 'https://discord.com/channels/<server>/<channel>', style: { width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '12px', padding: '6px', marginBottom: '8px' } });
+    const addThreadsBtn = el('button', { style: { padding: '6px 10px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff', marginBottom: '12px' } }, 'Add threads from this forum / sidebar');
+
+    addThreadsBtn.addEventListener('click', () => {
+      const existing = parseChannelUrls(textarea.value);
+      const found = collectForumThreadUrls().filter(u => !existing.includes(u));
+      textarea.value = existing.concat(found).join('\n');
+      addThreadsBtn.textContent = 'Added ' + found.length + ' thread(s)';
+    });
+
+    // A queue left over from an interrupted batch can be resumed or discarded
+    const saved = loadBatchState();
+    const savedRow = el('div', { style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', marginBottom: '12px' } });
+    if (saved && saved.index < saved.urls.length) {
+      const resumeBtn = el('button', { style: { padding: '6px 10px', borderRadius: '6px', border: 'none', background: '#5865F2', color: '#fff' } }, 'Resume');
+      const discardBtn = el('button', { style: { padding: '6px 10px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Discard');
+      savedRow.appendChild(el('span', { style: { flex: '1' } }, 'Unfinished batch: ' + saved.index + '/' + saved.urls.length + ' channels exported.'));
+      savedRow.appendChild(resumeBtn);
+      savedRow.appendChild(discardBtn);
+      resumeBtn.addEventListener('click', () => {
+        backdrop.remove();
+        runBatchExport(saved);
+      });
+      discardBtn.addEventListener('click', () => {
+        clearBatchState();
+        savedRow.remove();
+      });
+    }
+
+    const buttons = el('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '8px' } });
+    const cancelBtn = el('button', { style: { padding: '8px 12px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' } }, 'Cancel');
+    const startBtn = el('button', { style: { padding: '8px 12px', borderRadius: '6px', border: 'none', background: '#5865F2', color: '#fff' } }, 'Start Batch');
+
+    cancelBtn.addEventListener('click', () => backdrop.remove());
+    startBtn.addEventListener('click', () => {
+      const urls = parseChannelUrls(textarea.value);
+      if (!urls.length) {
+        alert('No Discord channel URLs found.');
+        return;
+      }
+      backdrop.remove();
+      // Channels run unattended: no per-channel confirmation (the merge file is never passed on)
+      const state = { urls, index: 0, results: [], options: Object.assign({}, options, { showConfirmation: false }), running: true, startedAt: new Date().toISOString() };
+      saveBatchState(state);
+      runBatchExport(state);
+    });
+
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(startBtn);
+
+    box.appendChild(title);
+    box.appendChild(hint);
+    box.appendChild(textarea);
+    box.appendChild(addThreadsBtn);
+    box.appendChild(savedRow);
+    box.appendChild(buttons);
+    backdrop.appendChild(box);
+    document.body.appendChild(backdrop);
+
+    return backdrop;
+  }
+
+  // Floating panel for a running export: phase, counts, elapsed time / ETA, a live log and
+  // Pause / Resume / Cancel wired to control (see createExportControl)
+  function createProgressPanel(control) {
+    const old = document.getElementById('dte-progress-panel');
+    if (old) old.remove();
+    const panel = el('div', { id: 'dte-progress-panel' });
+    Object.assign(panel.style, {
+      position: 'fixed', bottom: '64px', right: '18px', zIndex: 2147483646, width: '340px', background: '#fff', borderRadius: '10px', padding: '12px',
+      boxShadow: '0 12px 36px rgba(0,0,0,0.35)', color: '#111', fontFamily: 'Inter, Roboto, Arial, sans-serif', fontSize: '13px'
+    });
+
+    const phaseLine = el('div', { style: { fontWeight: '600', marginBottom: '4px' } }, 'Starting...');
+    const countLine = el('div', { style: { color: '#333', marginBottom: '2px' } }, '');
+    const timeLine = el('div', { style: { color: '#666', fontSize: '12px', marginBottom: '8px' } }, '');
+    const logBox = el('div', { style: { height: '110px', overflow: 'auto', background: '#f5f5f7', borderRadius: '6px', padding: '6px', fontFamily: 'monospace', fontSize: '11px', whiteSpace: 'pre-wrap', marginBottom: '8px' } });
+
+    const btnStyle = { padding: '6px 10px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff', cursor: 'pointer' };
+    const buttons = el('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '8px' } });
+    const pauseBtn = el('button', { style: btnStyle }, 'Pause');
+    const cancelBtn = el('button', { style: btnStyle }, 'Cancel');
+    const closeBtn = el('button', { style: Object.assign({}, btnStyle, { display: 'none' }) }, 'Close');
+    buttons.appendChild(pauseBtn);
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(closeBtn);
+
+    // Shown instead of the buttons while the user decides what Cancel should do
+    const cancelRow = el('div', { style: { display: 'none', flexDirection: 'column', gap: '6px' } });
+    const keepBtn = el('button', { style: Object.assign({}, btnStyle, { border: 'none', background: '#5865F2', color: '#fff' }) }, 'Stop and export what was collected');
+    const discardBtn = el('button', { style: Object.assign({}, btnStyle, { color: '#c0392b' }) }, 'Stop and discard');
+    const continueBtn = el('button', { style: btnStyle }, 'Keep going');
+    cancelRow.appendChild(el('div', {}, 'Stop the export?'));
+    cancelRow.appendChild(keepBtn);
+    cancelRow.appendChild(discardBtn);
+    cancelRow.appendChild(continueBtn);
+
+    panel.appendChild(phaseLine);
+    panel.appendChild(countLine);
+    panel.appendChild(timeLine);
+    panel.appendChild(logBox);
+    panel.appendChild(buttons);
+    panel.appendChild(cancelRow);
+    document.body.appendChild(panel);
+
+    const startedAt = Date.now();
+    let phase = '';
+    let phaseStart = startedAt;
+    let pausedAt = 0;
+    let pausedInPhase = 0;
+    let done = 0;
+    let total = 0;
+    let statusText = '';
+    let wasPaused = false;
+
+    function render() {
+      const now = Date.now();
+      const activeMs = (pausedAt ? pausedAt : now) - phaseStart - pausedInPhase;
+      let eta = '';
+      if (total > 0 && done > 0 && done < total) eta = ' · ETA ' + formatDuration(activeMs / done * (total - done));
+      phaseLine.textContent = (phase ? phase.charAt(0).toUpperCase() + phase.slice(1) : 'Starting') + (pausedAt ? ' (paused)' : '');
+      countLine.textContent = statusText || (total ? done + '/' + total : (done ? String(done) : ''));
+      timeLine.textContent = 'Elapsed ' + formatDuration(now - startedAt) + eta;
+    }
+    const timer = setInterval(render, 1000);
+
+    function log(text) {
+      const line = el('div', {}, '[' + formatDuration(Date.now() - startedAt) + '] ' + text);
+      logBox.appendChild(line);
+      while (logBox.childNodes.length > 200) logBox.firstChild.remove();
+      logBox.scrollTop = logBox.scrollHeight;
+    }
+
+    function setPaused(paused) {
+      if (paused && !pausedAt) pausedAt = Date.now();
+      if (!paused && pausedAt) {
+        pausedInPhase += Date.now() - pausedAt;
+        pausedAt = 0;
+      }
+      pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+      render();
+    }
+
+    function showCancelChoice(show) {
+      buttons.style.display = show ? 'none' : 'flex';
+      cancelRow.style.display = show ? 'flex' : 'none';
+    }
+
+    pauseBtn.addEventListener('click', () => {
+      if (control.paused) {
+        control.resume();
+        log('Resumed');
+      } else {
+        control.pause();
+        log('Paused');
+      }
+      setPaused(control.paused);
+    });
+    cancelBtn.addEventListener('click', () => {
+      // Hold the export while the choice is shown
+      wasPaused = control.paused;
+      control.pause();
+      setPaused(true);
+      showCancelChoice(true);
+    });
+    continueBtn.addEventListener('click', () => {
+      showCancelChoice(false);
+      if (!wasPaused) {
+        control.resume();
+        setPaused(false);
+      }
+    });
+    keepBtn.addEventListener('click', () => {
+      showCancelChoice(false);
+      control.cancel(true);
+      setPaused(false);
+      log('Stopped loading - exporting what was collected');
+    });
+    discardBtn.addEventListener('click', () => {
+      showCancelChoice(false);
+      control.cancel(false);
+      setPaused(false);
+      log('Cancelled');
+    });
+    closeBtn.addEventListener('click', () => remove());
+
+    function remove() {
+      clearInterval(timer);
+      panel.remove();
+    }
+
+    render();
+    return {
+      status(text) {
+        statusText = text;
+        render();
+      },
+      progress(nextPhase, nextDone, nextTotal) {
+        if (nextPhase !== phase) {
+          phase = nextPhase;
+          phaseStart = Date.now();
+          pausedInPhase = 0;
+          if (pausedAt) pausedAt = phaseStart;
+          log('Phase: ' + nextPhase);
+        }
+        done = nextDone || 0;
+        total = nextTotal || 0;
+        render();
+      },
+      log,
+      // Leaves the panel (and its log) up with a Close button
+      finish(text) {
+        if (text) log(text);
+        statusText = text || statusText;
+        total = 0;
+        clearInterval(timer);
+        render();
+        pauseBtn.style.display = 'none';
+        cancelBtn.style.display = 'none';
+        closeBtn.style.display = '';
+      },
+      remove
+    };
+  }
+
+  // Diagnose: how many nodes each registry selector matches here, plus the override JSON editor
+  function createSelectorModal() {
+    const backdrop = el('div', { id: 'dte-selector-backdrop' });
+    Object.assign(backdrop.style, {
+      position: 'fixed', inset: '0', background: 'rgba(0,0,0,0.45)', zIndex: 2147483647, display: 'flex', alignItems: 'center', justifyContent: 'center'
+    });
+
+    const box = el('div', { id: 'dte-selector-modal' });
+    Object.assign(box.style, {
+      width: '640px', maxHeight: '85vh', overflow: 'auto', background: '#fff', borderRadius: '10px', padding: '18px', boxShadow: '0 18px 50px rgba(0,0,0,0.45)', color: '#111', fontFamily: 'Inter, Roboto, Arial, sans-serif'
+    });
+
+    const title = el('h3', { style: { margin: '0 0 8px 0' } }, 'Selector Diagnostics');
+    const hint = el('div', { style: { fontSize: '13px', color: '#555', marginBottom: '8px' } },
+      'Nodes matched on this page by each selector. Roles with no matches at all usually mean Discord changed its markup.');
+    const report = el('div', { style: { fontFamily: 'monospace', fontSize: '12px', marginBottom: '12px', maxHeight: '280px', overflow: 'auto', border: '1px solid #ddd', borderRadius: '6px' } });
+
+    function renderReport() {
+      const rows = diagnoseSelectors();
+      const roleTotals = {};
+      rows.forEach(r => { roleTotals[r.key] = (roleTotals[r.key] || 0) + Math.max(r.count, 0); });
+      report.innerHTML = '<table style="border-collapse:collapse;width:100%">' + rows.map(r =>
+        '<tr style="border-bottom:1px solid #eee' + (roleTotals[r.key] ? '' : ';background:#fdecea') + '">' +
+        '<td style="padding:3px 6px;white-space:nowrap">' + escapeHtml(r.key) + (r.overridden ? ' *' : '') + '</td>' +
+        '<td style="padding:3px 6px;word-break:break-all">' + escapeHtml(r.selector) + '</td>' +
+        '<td style="padding:3px 6px;text-align:right;color:' + (r.count > 0 ? '#1e7e34' : '#c0392b') + '">' + (r.count < 0 ? 'invalid' : r.count) + '</td></tr>'
+      ).join('') + '</table>';
+    }
+
+    const overridesLabel = el('div', { style: { fontSize: '12px', color: '#666', marginBottom: '6px' } },
+      'Overrides (JSON, replaces a role\'s list; * marks overridden roles), e.g. {"message": ["li[id^=\\"chat-messages-\\"]"]}');
+    const textarea = el('textarea', { rows: '6', style: { width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '12px', padding: '6px', marginBottom: '6px' } });
+    textarea.value = Object.keys(selectorOverrides).length ? JSON.stringify(selectorOverrides, null, 2) : '';
+    const message = el('div', { style: { fontSize: '12px', minHeight: '16px', marginBottom: '10px', whiteSpace: 'pre-wrap' } });
+
+    const btnStyle = { padding: '8px 12px', borderRadius: '6px', border: '1px solid #ccc', background: '#fff' };
+    const buttons = el('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '8px' } });
+    const resetBtn = el('button', { style: Object.assign({}, btnStyle, { marginRight: 'auto' }) }, 'Reset to defaults');
+    const rerunBtn = el('button', { style: btnStyle }, 'Diagnose again');
+    const closeBtn = el('button', { style: btnStyle }, 'Close');
+    const saveBtn = el('button', { style: { padding: '8px 12px', borderRadius: '6px', border: 'none', background: '#5865F2', color: '#fff' } }, 'Save overrides');
+
+    resetBtn.addEventListener('click', () => {
+      saveSelectorOverrides({});
+      textarea.value = '';
+      message.style.color = '#1e7e34';
+      message.textContent = 'Using the built-in selectors.';
+      renderReport();
+    });
+    rerunBtn.addEventListener('click', renderReport);
+    closeBtn.addEventListener('click', () => backdrop.remove());
+    saveBtn.addEventListener('click', () => {
+      const parsed = parseSelectorOverrides(textarea.value);
+      if (parsed.errors.length) {
+        message.style.color = '#c0392b';
+        message.textContent = parsed.errors.join('\n');
+        return;
+      }
+      saveSelectorOverrides(parsed.overrides);
+      message.style.color = '#1e7e34';
+      message.textContent = 'Saved ' + Object.keys(parsed.overrides).length + ' override(s).';
+      renderReport();
+    });
+
+    buttons.appendChild(resetBtn);
+    buttons.appendChild(rerunBtn);
+    buttons.appendChild(closeBtn);
+    buttons.appendChild(saveBtn);
+
+    box.appendChild(title);
+    box.appendChild(hint);
+    box.appendChild(report);
+    box.appendChild(overridesLabel);
+    box.appendChild(textarea);
+    box.appendChild(message);
+    box.appendChild(buttons);
+    backdrop.appendChild(box);
+    document.body.appendChild(backdrop);
+    renderReport();
+
+    return backdrop;
+  }
+
+  function openModal() {
+    if (!modal) createModal();
+    modal.style.display = 'flex';
+    modal.refreshCacheUsage();
+  }
   function closeModal() { if (modal) modal.style.display = 'none'; }
 
+  // ---------- Export control ----------
+  // Shared by the scroll loop and media fetching. checkpoint() waits while paused and resolves to
+  // false once the export is cancelled. stopLoading alone ("export what was collected") only ends the
+  // scroll loop; media for the collected messages is still fetched and the file still written.
+  function createExportControl() {
+    const waiters = [];
+    const control = {
+      paused: false,
+      cancelled: false,
+      stopLoading: false,
+      pause() {
+        if (!control.cancelled) control.paused = true;
+      },
+      resume() {
+        control.paused = false;
+        waiters.splice(0).forEach(resolve => resolve());
+      },
+      cancel(keepPartial) {
+        control.stopLoading = true;
+        if (!keepPartial) control.cancelled = true;
+        control.resume();
+      },
+      aborted() {
+        return control.cancelled;
+      },
+      checkpoint() {
+        if (!control.paused) return Promise.resolve(!control.cancelled);
+        return new Promise(resolve => waiters.push(resolve)).then(() => control.checkpoint());
+      }
+    };
+    return control;
+  }
+
+  // "4:05" or "1:02:03"
+  function formatDuration(ms) {
+    const s = Math.max(0, Math.round(ms / 1000));
+    const h = Math.floor(s / 3600);
+    const mm = String(Math.floor((s % 3600) / 60));
+    const ss = String(s % 60).padStart(2, '0');
+    return h ? h + ':' + mm.padStart(2, '0') + ':' + ss : mm + ':' + ss;
+  }
+
+  // ---------- Selector registry ----------
+  // Every DOM selector the exporter relies on, as ordered fallbacks per role. Lookups that want a
+  // single node try them in order (queryFirst); lookups that collect nodes use the whole list at once
+  // (selectorUnion). Users can replace any role's list with JSON saved under SELECTORS_KEY.
+  const DEFAULT_SELECTORS = {
+    container: ['div[role="log"]', 'div[class*="scroller"]', 'div[class*="messages-"]', 'div[class*="content-"]'],
+    scroller: ['[class*="messagesWrapper"] [class*="scroller"]', 'div[class*="chat"] [class*="scroller"]', '[class*="scroller"]'],
+    scrollerInner: ['[class*="scrollerInner"]'],
+    message: ['[role="article"]', '[data-message-id]', 'li[id^="chat-messages-"]'],
+    messageListItem: ['li[id^="chat-messages-"]', 'li[id]'],
+    header: ['h3'],
+    username: ['[class*="username"]', '[class*="author-"]', '[id^="user-"]'],
+    userId: ['[data-user-id]', '[data-author-id]'],
+    userHandle: ['[data-username]'],
+    roleColor: ['[class*="username"][style*="color"]', '[style*="color"]'],
+    botTag: ['[class*="botTag"]'],
+    timestamp: ['time', 'a[aria-label]'],
+    timestampWrapper: ['[class*="timestamp"]'],
+    avatar: ['img[class*="avatar"]', '[class*="avatar"] img'],
+    content: ['[id^="message-content-"]', '[class*="markup"]', '[class*="messageContent"]', '[data-slate-node="element"]', '[data-slate-node="text"]'],
+    mention: ['[class*="mention"]', '[class*="Mention"]', '[data-user-id]', '[data-role-id]', '[data-channel-id]'],
+    customEmoji: ['img[src*="/emojis/"]'],
+    sticker: ['img[src*="/stickers/"]', '[class*="stickerAsset"]'],
+    reply: ['[id^="message-reply-context-"]', '[class*="repliedMessage"]'],
+    replyReference: ['[id^="message-content-"]'],
+    replyText: ['[class*="repliedTextContent"]', '[id^="message-content-"]'],
+    systemMessage: ['[class*="systemMessage"]'],
+    systemContent: ['[class*="content"]'],
+    edited: ['[id^="message-edited-timestamp-"]', '[class*="edited"]'],
+    pinned: ['[class*="pinned"]', '[aria-label="Pinned"]', '[aria-label^="Pinned "]'],
+    embed: ['[class*="embedWrapper"]', '[class*="embedFull"]', '.embed', '[class*="embed-"]', 'iframe'],
+    embedProvider: ['[class*="embedProvider"]'],
+    embedAuthor: ['[class*="embedAuthor"]'],
+    embedAuthorName: ['[class*="embedAuthorName"]'],
+    embedAuthorIcon: ['[class*="embedAuthorIcon"]'],
+    embedTitle: ['[class*="embedTitle"]'],
+    embedDescription: ['[class*="embedDescription"]'],
+    embedField: ['[class*="embedField_"]', '[class*="embedField-"]'],
+    embedFieldName: ['[class*="embedFieldName"]'],
+    embedFieldValue: ['[class*="embedFieldValue"]'],
+    embedThumbnail: ['[class*="embedThumbnail"]'],
+    embedImage: ['[class*="embedImage"]', '[class*="embedMedia"]'],
+    embedFooter: ['[class*="embedFooter"]'],
+    embedFooterText: ['[class*="embedFooterText"]'],
+    embedFooterIcon: ['[class*="embedFooterIcon"]'],
+    attachment: ['a[href*="/attachments/"]', 'img[src*="/attachments/"]', 'video[src*="/attachments/"]', 'audio[src*="/attachments/"]', 'source[src*="/attachments/"]'],
+    attachmentCard: ['[class*="attachment"]', '[class*="wrapperAudio"]', '[class*="file_"]', '[class*="imageWrapper"]', '[class*="mosaicItem"]'],
+    fileName: ['[class*="fileName"]', '[class*="metadataName"]', '[class*="filename"]'],
+    fileSize: ['[class*="metadataSize"]', '[class*="metadata"]', '[class*="size"]'],
+    reactions: ['[class*="reactions"]', '[class*="reaction_"]'],
+    reactionButton: ['[class*="reactions"] [role="button"]', '[class*="reaction_"] [role="button"]', '[class*="reaction-"] [role="button"]'],
+    reactionEmoji: ['[class*="emoji"]'],
+    reactionCount: ['[class*="reactionCount"]', '[class*="count"]'],
+    forumThread: ['[data-item-id]'],
+    sidebarThreadLink: ['nav a[href^="/channels/"]', '[class*="sidebar"] a[href^="/channels/"]'],
+    sidebarThread: ['[class*="thread"]', '[class*="Thread"]']
+  };
+
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // { overrides, errors } from pasted JSON: { "role": "selector" | ["selector", ...], ... }
+  function parseSelectorOverrides(text) {
+    const errors = [];
+    const overrides = {};
+    if (!(text || '').trim()) return { overrides, errors };
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return { overrides, errors: ['Invalid JSON: ' + e.message] };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return { overrides, errors: ['Expected an object of role: selectors'] };
+    Object.keys(parsed).forEach(key => {
+      if (!DEFAULT_SELECTORS[key]) {
+        errors.push('Unknown role "' + key + '"');
+        return;
+      }
+      const list = (Array.isArray(parsed[key]) ? parsed[key] : [parsed[key]]).filter(s => typeof s === 'string' && s.trim()).map(s => s.trim());
+      const invalid = list.filter(s => !isValidSelector(s));
+      invalid.forEach(s => errors.push(key + ': invalid selector ' + s));
+      if (!list.length) errors.push(key + ': no selectors given');
+      else if (!invalid.length) overrides[key] = list;
+    });
+    return { overrides, errors };
+  }
+
+  function loadSelectorOverrides() {
+    try {
+      return parseSelectorOverrides(localStorage.getItem(SELECTORS_KEY) || '').overrides;
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveSelectorOverrides(overrides) {
+    selectorOverrides = overrides || {};
+    try {
+      if (Object.keys(selectorOverrides).length) localStorage.setItem(SELECTORS_KEY, JSON.stringify(selectorOverrides));
+      else localStorage.removeItem(SELECTORS_KEY);
+    } catch (e) {}
+  }
+
+  let selectorOverrides = loadSelectorOverrides();
+
+  function selectorsFor(key) {
+    return selectorOverrides[key] || DEFAULT_SELECTORS[key];
+  }
+
+  function selectorUnion(key) {
+    return selectorsFor(key).join(', ');
+  }
+
+  function queryFirst(root, key) {
+    for (const s of selectorsFor(key)) {
+      const node = root.querySelector(s);
+      if (node) return node;
+    }
+    return null;
+  }
+
+  // One row per role and selector with the number of nodes it matches on the current page
+  // (the exporter's own button and dialogs are not counted)
+  function diagnoseSelectors() {
+    const rows = [];
+    Object.keys(DEFAULT_SELECTORS).forEach(key => {
+      selectorsFor(key).forEach(selector => {
+        let count = 0;
+        try {
+          count = Array.from(document.querySelectorAll(selector)).filter(n => !n.closest('[id^="dte-"]')).length;
+        } catch (e) { count = -1; }
+        rows.push({ key, selector, count, overridden: !!selectorOverrides[key] });
+      });
+    });
+    return rows;
+  }
+
   // ---------- DOM helpers ----------
   function findMessageContainer() {
-    const selectors = [
-      'div[role="log"]',
-      'div.scrollerInner-2YIMLh',
-      'div[class*="scroller"]',
-      'div[class*="messages-"]',
-      'div[class*="content-"]'
-    ];
-    for (const s of selectors) {
+    for (const s of selectorsFor('container')) {
       const elSel = document.querySelector(s);
-      if (elSel && elSel.querySelector('[role="article"], [data-message-id]')) return elSel;
+      if (elSel && elSel.querySelector(selectorUnion('message'))) return elSel;
     }
-    return document.querySelector('div[role="log"]') || document.scrollingElement || document.documentElement;
+    return document.querySelector(selectorsFor('container')[0]) || document.scrollingElement || document.documentElement;
   }
 
-  async function autoLoadAllMessages(container, onProgress) {
+  async function autoLoadAllMessages(container, onProgress, options, control) {
     if (!container) container = findMessageContainer();
     if (!container) throw new Error('Message container not found');
 
     // Find the actual scrollable element - Discord nests scrollers
     let scroller = container;
     const possibleScrollers = [
-      document.querySelector('[class*="messagesWrapper"] [class*="scroller"]'),
-      document.querySelector('div[class*="chat"] [class*="scroller"]'),
-      container.closest('[class*="scroller"]'),
-      container.querySelector('[class*="scroller"]'),
-      document.querySelector('[class*="scrollerInner"]')?.parentElement,
+      ...selectorsFor('scroller').map(s => document.querySelector(s)),
+      container.closest(selectorUnion('scroller')),
+      container.querySelector(selectorUnion('scroller')),
+      queryFirst(document, 'scrollerInner')?.parentElement,
       container
     ].filter(Boolean);
 
@@ -748,6 +1840,10 @@ Changelog v1.3.0:
     let prevCount = -1;
     let unchanged = 0;
     let rounds = 0;
+    const range = getExportRange(options || opts);
+
+    // Collect what is visible before scrolling - the newest messages leave the DOM first
+    collectVisibleMessages(options || opts);
 
     // Focus the scroller to enable keyboard navigation
     try {
@@ -781,6 +1877,11 @@ Changelog v1.3.0:
     }
 
     while (rounds < MAX_SCROLL_ROUNDS && unchanged < STABLE_CHECKS) {
+      // Paused exports wait here; stopped ones keep what is buffered
+      if (control && (!await control.checkpoint() || control.stopLoading)) {
+        debugLog('Loading cancelled after', rounds, 'rounds');
+        break;
+      }
       rounds++;
 
       // Method 1: Direct scroll manipulation
@@ -803,7 +1904,7 @@ Changelog v1.3.0:
       }
 
       // Method 6: Find first message and scroll into view
-      const firstMsg = scroller.querySelector('[role="article"], [data-message-id]');
+      const firstMsg = scroller.querySelector(selectorUnion('message'));
       if (firstMsg && rounds % 3 === 0) {
         try {
           firstMsg.scrollIntoView({ behavior: 'instant', block: 'start' });
@@ -817,112 +1918,476 @@ Changelog v1.3.0:
 
       await new Promise(r => setTimeout(r, AUTO_SCROLL_INTERVAL));
 
-      const msgs = getMessageElements();
-      if (onProgress) onProgress({ rounds, messages: msgs.length });
+      // Extract while the nodes are still attached - Discord's list is virtualized
+      const added = collectVisibleMessages(options || opts);
+      const total = messageBuffer.size;
+      if (onProgress) onProgress({ rounds, messages: total, added });
+
+      debugLog('Scroll round', rounds, '- new:', added, '- buffered:', total, '- scrollTop:', scroller.scrollTop, '- scrollHeight:', scroller.scrollHeight);
 
-      debugLog('Scroll round', rounds, '- messages:', msgs.length, '- scrollTop:', scroller.scrollTop, '- scrollHeight:', scroller.scrollHeight);
+      if (total === prevCount) unchanged++;
+      else { prevCount = total; unchanged = 0; }
 
-      if (msgs.length === prevCount) unchanged++;
-      else { prevCount = msgs.length; unchanged = 0; }
+      // Older messages are outside the requested range - no need to keep scrolling
+      if (hasReachedLowerBound(range)) {
+        debugLog('Reached lower bound of export range after', rounds, 'rounds');
+        break;
+      }
     }
 
     debugLog('Auto-scroll complete. Total rounds:', rounds, '- Final message count:', prevCount);
-    return getMessageElements();
+    return getBufferedMessages();
   }
 
   function getMessageElements() {
     const container = findMessageContainer();
     if (!container) return [];
-    let els = Array.from(container.querySelectorAll('[role="article"]'));
-    if (!els.length) {
-      els = Array.from(container.querySelectorAll('[data-message-id], .message-2qnXI6, .container-2sjPya'));
+    let els = [];
+    for (const s of selectorsFor('message')) {
+      els = Array.from(container.querySelectorAll(s));
+      if (els.length) break;
     }
     return els.filter(el => el.offsetParent !== null || el === document.activeElement);
   }
 
-  // ---------- Message extraction ----------
-  // Track the last known author for continuation messages
-  let lastKnownAuthor = '';
-  let lastKnownAvatar = '';
-
-  function extractMessageData(msgEl, options) {
-    const messageId = msgEl.getAttribute('data-message-id') || msgEl.dataset?.messageId || msgEl.id || '';
-    let author = '';
-    let isContinuation = false;
+  // Resolve a message's ID from the article or its list item wrapper.
+  // Discord uses ids like "chat-messages-<channelId>-<messageId>"; the trailing snowflake is kept.
+  function getMessageId(msgEl) {
+    if (!msgEl) return '';
+    const raw = msgEl.getAttribute('data-message-id') || msgEl.dataset?.messageId || msgEl.id ||
+      msgEl.getAttribute('data-list-item-id') || msgEl.closest(selectorUnion('messageListItem'))?.id || '';
+    const m = /(\d{15,})$/.exec(raw);
+    return m ? m[1] : raw;
+  }
 
-    try {
-      const header = msgEl.querySelector('h3');
-      if (header) {
-        const nameEl = header.querySelector('span') || header.firstChild;
-        author = nameEl ? nameEl.textContent.trim() : header.textContent.trim();
-      } else {
-        const name = msgEl.querySelector('[class*="username"]') || msgEl.querySelector('[class*="author-"]') || msgEl.querySelector('[id^="user-"]');
-        author = name ? name.textContent.trim() : '';
-      }
+  // ---------- Message buffer ----------
+  // Messages extracted during scrolling, keyed by message ID. Nodes that scroll out of
+  // Discord's virtualized list are gone, so everything is extracted while still attached.
+  let messageBuffer = new Map();
 
-      // Check if this is a continuation message (no header, grouped with previous)
-      if (!author) {
-        // Look for continuation message indicators
-        const hasNoHeader = !msgEl.querySelector('h3') && !msgEl.querySelector('[class*="username"]');
-        const isCompact = msgEl.closest('[class*="groupStart"]') === null;
+  function resetMessageBuffer() {
+    messageBuffer = new Map();
+    lastKnownIdentity = EMPTY_IDENTITY;
+  }
 
-        if (hasNoHeader) {
-          isContinuation = true;
-          author = lastKnownAuthor; // Inherit from previous message
-          debugLog('Continuation message detected, inheriting author:', author);
-        }
+  // Extract every visible message not yet buffered. Returns the number of new messages.
+  function collectVisibleMessages(options) {
+    // Continuation tracking restarts each pass since newly loaded messages appear above the old ones
+    lastKnownIdentity = EMPTY_IDENTITY;
+    let added = 0;
+    getMessageElements().forEach(node => {
+      const id = getMessageId(node);
+      const existing = id ? messageBuffer.get(id) : null;
+      // Re-extract continuation messages that were first seen without their group header
+      if (existing && existing.author) {
+        lastKnownIdentity = identityOf(existing);
+        return;
       }
-
-      // Update last known author if we found one
-      if (author && !isContinuation) {
-        lastKnownAuthor = author;
+      try {
+        const data = extractMessageData(node, options);
+        const key = id || ('nokey-' + data.timestamp + '-' + data.author + '-' + (data.contentHtml || '').slice(0, 64));
+        if (!existing && !messageBuffer.has(key)) added++;
+        messageBuffer.set(key, data);
+      } catch (e) {
+        debugLog('Error extracting message:', e);
       }
-    } catch (e) { author = ''; }
+    });
+    return added;
+  }
 
-    let timestamp = '';
-    try {
-      const timeEl = msgEl.querySelector('time') || msgEl.querySelector('a[aria-label]');
-      if (timeEl) timestamp = timeEl.getAttribute('datetime') || timeEl.getAttribute('title') || timeEl.textContent.trim();
-    } catch (e) { timestamp = ''; }
+  function isSnowflake(id) {
+    return /^\d+$/.test(id || '');
+  }
 
-    let avatar = '';
-    try {
-      // Look specifically for avatar images (usually first img in message or with avatar class)
-      const avatarImg = msgEl.querySelector('img[class*="avatar"]') || msgEl.querySelector('[class*="avatar"] img');
-      if (avatarImg) {
-        avatar = avatarImg.src || '';
-      } else {
-        // Fallback: first img that looks like an avatar (small, in header area)
-        const firstImg = msgEl.querySelector('img');
-        if (firstImg) {
-          const rect = firstImg.getBoundingClientRect();
-          // Avatars are typically small and square-ish
-          if (rect.width > 0 && rect.width <= 48 && rect.height <= 48) {
-            avatar = firstImg.src || '';
-          }
-        }
-      }
+  // Compare numeric ID strings without BigInt (longer = larger, then lexicographic)
+  function compareSnowflakes(a, b) {
+    if (a.length !== b.length) return a.length - b.length;
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
 
-      // For continuation messages, inherit avatar from previous message
-      if (!avatar && isContinuation) {
-        avatar = lastKnownAvatar;
-        debugLog('Continuation message inheriting avatar');
-      }
+  // Snowflake IDs increase with time; fall back to timestamps when an ID is missing
+  function compareMessageOrder(a, b) {
+    if (isSnowflake(a.messageId) && isSnowflake(b.messageId)) return compareSnowflakes(a.messageId, b.messageId);
+    return parseTimestampToNumber(a.timestamp) - parseTimestampToNumber(b.timestamp);
+  }
 
-      // Update last known avatar if we found one
-      if (avatar && !isContinuation) {
-        lastKnownAvatar = avatar;
-      }
-    } catch (e) { avatar = ''; }
+  // Buffered messages, oldest first
+  function getBufferedMessages() {
+    return Array.from(messageBuffer.values()).sort(compareMessageOrder);
+  }
 
-    let contentHtml = '';
-    try {
-      const contentEl = msgEl.querySelector('[class*="markup"], [class*="messageContent"], [data-slate-node="element"], [data-slate-node="text"]');
-      if (contentEl) contentHtml = contentEl.innerHTML.trim();
-      else contentHtml = msgEl.innerHTML || '';
-    } catch (e) { contentHtml = msgEl.innerText || ''; }
+  function getBufferedAuthors() {
+    const names = new Set();
+    messageBuffer.forEach(m => { if (m.author) names.add(m.author); });
+    return Array.from(names);
+  }
 
-    const imageUrls = [];
+  // ---------- Embed parsing ----------
+  // Only http(s) links are kept from embeds
+  function safeUrl(url) {
+    return /^https?:\/\//i.test(url || '') ? url : '';
+  }
+
+  function rgbToHex(color) {
+    const m = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color || '');
+    if (!m) return /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : '';
+    return '#' + [m[1], m[2], m[3]].map(n => parseInt(n, 10).toString(16).padStart(2, '0')).join('');
+  }
+
+  // Outermost embed containers of a message (Discord nests several embed* classes)
+  function findEmbedElements(msgEl) {
+    const els = Array.from(msgEl.querySelectorAll(selectorUnion('embed')));
+    return els.filter(e => !els.some(other => other !== e && other.contains(e)));
+  }
+
+  // Parse a rich embed into clean fields; returns null for media-only embeds (image links, GIFs)
+  function parseEmbed(embedEl) {
+    const q = (role) => queryFirst(embedEl, role);
+    const text = (node) => node ? node.textContent.replace(/\s+/g, ' ').trim() : '';
+    const imgSrc = (node) => {
+      const img = node ? (node.tagName === 'IMG' ? node : node.querySelector('img')) : null;
+      return img ? safeUrl(img.src || img.getAttribute('src') || '') : '';
+    };
+
+    if (embedEl.tagName === 'IFRAME') {
+      const url = safeUrl(embedEl.src || embedEl.getAttribute('src') || '');
+      if (!url) return null;
+      let provider = '';
+      try { provider = new URL(url).hostname; } catch (e) {}
+      return { provider, author: null, title: embedEl.getAttribute('title') || '', url, description: '', fields: [], thumbnail: '', image: '', color: '', footer: null, text: url };
+    }
+
+    const providerEl = q('embedProvider');
+    const authorEl = q('embedAuthor');
+    const titleEl = q('embedTitle');
+    const titleLink = titleEl ? (titleEl.tagName === 'A' ? titleEl : titleEl.querySelector('a')) : null;
+    const descEl = q('embedDescription');
+    const footerEl = q('embedFooter');
+
+    const fields = Array.from(embedEl.querySelectorAll(selectorUnion('embedField'))).map(f => ({
+      name: text(queryFirst(f, 'embedFieldName')),
+      value: (queryFirst(f, 'embedFieldValue') || f).textContent.trim(),
+      // Inline fields share a row - Discord sets their grid column span
+      inline: /grid-column:\s*\d+\s*\/\s*(?!13)\d+/.test(f.getAttribute('style') || '')
+    })).filter(f => f.name || f.value);
+
+    let author = null;
+    if (authorEl) {
+      const nameEl = queryFirst(authorEl, 'embedAuthorName') || authorEl;
+      const link = authorEl.querySelector('a');
+      author = { name: text(nameEl), url: link ? safeUrl(link.href || link.getAttribute('href')) : '', iconUrl: imgSrc(queryFirst(authorEl, 'embedAuthorIcon')) };
+    }
+    let footer = null;
+    if (footerEl) {
+      footer = { text: text(queryFirst(footerEl, 'embedFooterText') || footerEl), iconUrl: imgSrc(queryFirst(footerEl, 'embedFooterIcon')) };
+    }
+
+    const embed = {
+      provider: text(providerEl),
+      author,
+      title: text(titleEl),
+      url: titleLink ? safeUrl(titleLink.href || titleLink.getAttribute('href')) : '',
+      description: descEl ? descEl.textContent.trim() : '',
+      fields,
+      thumbnail: imgSrc(q('embedThumbnail')),
+      image: imgSrc(q('embedImage')),
+      color: rgbToHex(embedEl.style.borderLeftColor || embedEl.style.borderColor || ''),
+      footer
+    };
+    if (!embed.provider && !author && !embed.title && !embed.description && !fields.length && !footer) return null;
+    embed.text = [embed.provider, author && author.name, embed.title, embed.description].concat(fields.map(f => f.name + ': ' + f.value), [footer && footer.text])
+      .filter(Boolean).join(' - ').replace(/\s+/g, ' ').trim();
+    return embed;
+  }
+
+  // Image URLs an embed renders itself (kept out of the message's own images)
+  function getEmbedImageUrls(embed) {
+    return [embed.thumbnail, embed.image, embed.author && embed.author.iconUrl, embed.footer && embed.footer.iconUrl].filter(Boolean);
+  }
+
+  // ---------- Mentions ----------
+  // "@name" for users/roles/@everyone, "#name" for channels
+  function formatMention(type, name) {
+    const clean = (name || '').trim().replace(/^[@#]/, '');
+    return (type === 'channel' ? '#' : '@') + clean;
+  }
+
+  // Tags Discord's mention nodes inside root with data-mention-type / data-mention-id and
+  // returns one { type: 'user' | 'role' | 'channel' | 'everyone', id, name } per distinct mention
+  function annotateMentions(root) {
+    const mentions = [];
+    const seen = new Set();
+    root.querySelectorAll(selectorUnion('mention')).forEach(node => {
+      // Only the outermost node of a mention (channel mentions nest icon/name spans)
+      if (node.parentElement && node.parentElement.closest('[data-mention-type]')) return;
+      const cls = (node.className && node.className.toString()) || '';
+      const href = node.getAttribute('href') || '';
+      const name = node.textContent.trim().replace(/^[@#]/, '');
+      if (!name) return;
+
+      let type = 'user';
+      let id = node.getAttribute('data-user-id') || '';
+      if (node.hasAttribute('data-channel-id') || /channelMention/i.test(cls) || /\/channels\//.test(href)) {
+        type = 'channel';
+        id = node.getAttribute('data-channel-id') || (/(\d{15,})\/?$/.exec(href) || [])[1] || '';
+        // Relative channel links would point nowhere once exported
+        if (href.startsWith('/')) node.setAttribute('href', 'https://discord.com' + href);
+      } else if (/^(everyone|here)$/i.test(name)) {
+        type = 'everyone';
+        id = '';
+      } else if (node.hasAttribute('data-role-id') || /roleMention/i.test(cls)) {
+        type = 'role';
+        id = node.getAttribute('data-role-id') || '';
+      }
+      if (!id) id = node.getAttribute('data-id') || '';
+
+      node.setAttribute('data-mention-type', type);
+      if (id) node.setAttribute('data-mention-id', id);
+      const key = type + '|' + (id || name);
+      if (seen.has(key)) return;
+      seen.add(key);
+      mentions.push({ type, id, name });
+    });
+    return mentions;
+  }
+
+  // Plain text of message HTML with mentions spelled out as @name / #channel
+  function htmlToText(html) {
+    if (!html) return '';
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html;
+    tmp.querySelectorAll('[data-mention-type]').forEach(n => {
+      n.textContent = formatMention(n.getAttribute('data-mention-type'), n.textContent);
+    });
+    return tmp.textContent || tmp.innerText || '';
+  }
+
+  // ---------- Message types ----------
+  // Discord's random welcome messages ("{user}" = .+), matched against the whole message text
+  const WELCOME_MESSAGE_TEMPLATES = [
+    '.+ joined the party\\.', '.+ is here\\.', 'welcome, .+\\. we hope you brought pizza\\.', 'a wild .+ appeared\\.',
+    '.+ just landed\\.', '.+ just slid into the server\\.', '.+ just showed up!', 'welcome .+\\. say hi!',
+    '.+ hopped into the server\\.', 'everyone welcome .+!', 'glad you[\'’]re here, .+\\.', 'good to see you, .+\\.',
+    'yay you made it, .+!', '.+ just joined\\. (everyone, look busy|can i get a heal\\?)!?', '.+ joined your party\\.',
+    'we[\'’]ve been expecting you,? .+', '.+ (has )?joined the server[.!]?'
+  ];
+
+  // Checked in order against the text of a system message; anything else is 'system'
+  const SYSTEM_MESSAGE_PATTERNS = [
+    ['pin', /pinned a message/i],
+    ['boost', /boosted the server|just boosted|achieved level \d/i],
+    ['thread_created', /started a thread|created a thread/i],
+    ['join', new RegExp('^(?:' + WELCOME_MESSAGE_TEMPLATES.join('|') + ')$', 'i')]
+  ];
+
+  function isSystemMessageType(type) {
+    return !!type && type !== 'default' && type !== 'reply';
+  }
+
+  function detectSystemMessageType(text) {
+    text = (text || '').replace(/\s+/g, ' ').trim();
+    const match = SYSTEM_MESSAGE_PATTERNS.find(([, re]) => re.test(text));
+    return match ? match[0] : 'system';
+  }
+
+  // Text of a system message without its timestamp, so templates can be matched end to end
+  function systemMessageText(systemEl) {
+    const clone = systemEl.cloneNode(true);
+    clone.querySelectorAll('time').forEach(t => t.remove());
+    return clone.textContent || '';
+  }
+
+  // The "(edited)" marker is a <time> (or wrapper) next to the content
+  function findEditedMarker(msgEl) {
+    return msgEl.querySelector(selectorUnion('edited'));
+  }
+
+  function isEditedTime(timeEl) {
+    return !!(timeEl.closest(selectorUnion('edited')) || timeEl.querySelector(selectorUnion('edited')) ||
+      /^\(?edited\)?$/i.test(timeEl.textContent.trim()));
+  }
+
+  // Pin notices link to the pinned message; flag it when it was exported too
+  function markPinnedFromSystemMessages(messages) {
+    const byId = new Map(messages.filter(m => m.messageId).map(m => [m.messageId, m]));
+    messages.forEach(m => {
+      if (m.type !== 'pin') return;
+      const ref = /\/channels\/[^/"']+\/\d+\/(\d+)/.exec(m.contentHtml || '');
+      const target = ref ? byId.get(ref[1]) : null;
+      if (target) target.pinned = true;
+    });
+  }
+
+  // ---------- Message extraction ----------
+  // Identity of the last message with a header; continuation messages inherit all of it
+  const EMPTY_IDENTITY = { author: '', authorId: '', username: '', bot: false, botTag: '', roleColor: '', avatar: '' };
+  let lastKnownIdentity = EMPTY_IDENTITY;
+
+  function identityOf(m) {
+    return {
+      author: m.author || '', authorId: m.authorId || '', username: m.username || '',
+      bot: !!m.bot, botTag: m.botTag || '', roleColor: m.roleColor || '', avatar: m.avatar || ''
+    };
+  }
+
+  // User IDs appear in avatar URLs: /avatars/<id>/<hash> or /guilds/<guild>/users/<id>/avatars/<hash>
+  function getUserIdFromAvatarUrl(url) {
+    const m = /\/users\/(\d+)\/avatars\//.exec(url || '') || /\/avatars\/(\d+)\//.exec(url || '');
+    return m ? m[1] : '';
+  }
+
+  // Display name, username, BOT/APP tag, role color and (when exposed) user ID from a message header
+  function extractHeaderIdentity(header) {
+    const nameEl = queryFirst(header, 'username') || header.querySelector('span') || header.firstChild;
+    let author = '';
+    if (nameEl && nameEl.cloneNode) {
+      // The tag can sit inside the name wrapper - keep it out of the display name
+      const clone = nameEl.cloneNode(true);
+      if (clone.querySelectorAll) clone.querySelectorAll(selectorUnion('botTag')).forEach(n => n.remove());
+      author = clone.textContent.trim();
+    } else {
+      author = header.textContent.trim();
+    }
+
+    const tagEl = queryFirst(header, 'botTag');
+    const botTag = tagEl ? ((/\b(APP|BOT|SYSTEM|AI)\b/i.exec(tagEl.textContent) || [])[1] || 'BOT').toUpperCase() : '';
+
+    const idEl = queryFirst(header, 'userId');
+    const authorId = idEl ? (idEl.getAttribute('data-user-id') || idEl.getAttribute('data-author-id') || '') : '';
+    const usernameEl = queryFirst(header, 'userHandle');
+    const username = usernameEl ? usernameEl.getAttribute('data-username').replace(/^@/, '') : '';
+
+    // Username color comes from the highest colored role (inline style on the username)
+    const colored = queryFirst(header, 'roleColor');
+    const roleColor = colored ? rgbToHex(colored.style.color) : '';
+
+    return { author, authorId, username, bot: !!botTag, botTag, roleColor };
+  }
+
+  function extractMessageData(msgEl, options) {
+    const messageId = getMessageId(msgEl);
+    let isContinuation = false;
+    // System messages (joins, boosts, pins, ...) have no header; the user's name is part of the text
+    const systemEl = msgEl.matches(selectorUnion('systemMessage')) ? msgEl : queryFirst(msgEl, 'systemMessage');
+    // Reply previews carry another user's name and avatar
+    const replyEl = msgEl.querySelector(selectorUnion('reply'));
+    const outsideReply = (n) => !replyEl || !replyEl.contains(n);
+
+    let identity = Object.assign({}, EMPTY_IDENTITY);
+    try {
+      const header = Array.from(msgEl.querySelectorAll(selectorUnion('header'))).find(outsideReply);
+      if (header) {
+        identity = Object.assign(identity, extractHeaderIdentity(header));
+      } else {
+        const name = Array.from(msgEl.querySelectorAll(selectorUnion('username'))).find(outsideReply);
+        identity.author = name ? name.textContent.trim() : '';
+      }
+
+      // Check if this is a continuation message (no header, grouped with previous)
+      if (!identity.author && !systemEl) {
+        const hasNoHeader = !header && !queryFirst(msgEl, 'username');
+        if (hasNoHeader) {
+          isContinuation = true;
+          identity = Object.assign({}, lastKnownIdentity); // Inherit from previous message
+          debugLog('Continuation message detected, inheriting author:', identity.author);
+        }
+      }
+    } catch (e) { identity = Object.assign({}, EMPTY_IDENTITY); }
+
+    let timestamp = '';
+    try {
+      let timeEl = null;
+      for (const s of selectorsFor('timestamp')) {
+        timeEl = Array.from(msgEl.querySelectorAll(s)).find(t => !isEditedTime(t));
+        if (timeEl) break;
+      }
+      if (timeEl) timestamp = timeEl.getAttribute('datetime') || timeEl.getAttribute('title') || timeEl.textContent.trim();
+    } catch (e) { timestamp = ''; }
+
+    let avatar = '';
+    try {
+      // Look specifically for avatar images (usually first img in message or with avatar class)
+      const avatarImg = Array.from(msgEl.querySelectorAll(selectorUnion('avatar'))).find(outsideReply);
+      if (avatarImg) {
+        avatar = avatarImg.src || '';
+      } else {
+        // Fallback: first img that looks like an avatar (small, in header area)
+        const firstImg = Array.from(msgEl.querySelectorAll('img')).find(outsideReply);
+        if (firstImg) {
+          const rect = firstImg.getBoundingClientRect();
+          // Avatars are typically small and square-ish
+          if (rect.width > 0 && rect.width <= 48 && rect.height <= 48) {
+            avatar = firstImg.src || '';
+          }
+        }
+      }
+
+      // For continuation messages, inherit avatar from previous message
+      if (!avatar && isContinuation) {
+        avatar = identity.avatar;
+        debugLog('Continuation message inheriting avatar');
+      }
+    } catch (e) { avatar = ''; }
+
+    if (!identity.authorId) identity.authorId = getUserIdFromAvatarUrl(avatar);
+    identity.avatar = avatar;
+    if (identity.author && !isContinuation && !systemEl) lastKnownIdentity = identity;
+    const author = identity.author;
+    const roleColor = identity.roleColor;
+
+    // Reply bar above the header: "@author snippet", where the snippet is the referenced message's content
+    let replyTo = null;
+    try {
+      if (replyEl) {
+        const refContent = queryFirst(replyEl, 'replyReference');
+        const refIdMatch = refContent ? /(\d{15,})$/.exec(refContent.id) : null;
+        const refName = queryFirst(replyEl, 'username');
+        const refText = queryFirst(replyEl, 'replyText');
+        const refAvatar = queryFirst(replyEl, 'avatar');
+        replyTo = {
+          messageId: refIdMatch ? refIdMatch[1] : '',
+          author: refName ? refName.textContent.trim().replace(/^@/, '') : '',
+          authorId: refAvatar ? getUserIdFromAvatarUrl(refAvatar.getAttribute('src')) : '',
+          snippet: refText ? refText.textContent.replace(/\s+/g, ' ').trim().slice(0, 200) : ''
+        };
+      }
+    } catch (e) { replyTo = null; }
+
+    // Rich embeds are parsed into clean fields; media-only embeds keep flowing through images/videos
+    let embeds = [];
+    let embedEls = [];
+    const embedImageUrls = new Set();
+    try {
+      embedEls = findEmbedElements(msgEl);
+      embedEls.forEach(e => {
+        const parsed = parseEmbed(e);
+        if (!parsed) return;
+        embeds.push(parsed);
+        getEmbedImageUrls(parsed).forEach(u => embedImageUrls.add(u));
+      });
+    } catch (e) { embeds = []; }
+
+    let contentHtml = '';
+    let mentions = [];
+    try {
+      // The reply preview and rich embeds reuse the markup classes - skip them
+      const contentEl = Array.from(msgEl.querySelectorAll(selectorUnion('content')))
+        .find(n => (!replyEl || !replyEl.contains(n)) && !embedEls.some(e => e.contains(n))) ||
+        (systemEl ? (queryFirst(systemEl, 'systemContent') || systemEl) : null);
+      if (contentEl) {
+        // Annotate a copy so the live DOM is left alone
+        const clone = contentEl.cloneNode(true);
+        // "(edited)" is kept as edited/editedAt instead of content text
+        clone.querySelectorAll(selectorUnion('edited')).forEach(n => {
+          const wrapper = n.closest(selectorUnion('timestampWrapper'));
+          (wrapper && wrapper !== clone && clone.contains(wrapper) ? wrapper : n).remove();
+        });
+        mentions = annotateMentions(clone);
+        contentHtml = clone.innerHTML.trim();
+      } else contentHtml = msgEl.innerHTML || '';
+    } catch (e) { contentHtml = msgEl.innerText || ''; }
+
+    const imageUrls = [];
     const videoUrls = [];
     const filteredEmojiUrls = []; // Track what we filter for debugging
 
@@ -931,6 +2396,12 @@ Changelog v1.3.0:
       Array.from(msgEl.querySelectorAll('img')).forEach(img => {
         const src = img.src || img.getAttribute('src') || '';
         if (!src) return;
+        // Reaction emoji are captured with the reactions, reply previews with replyTo
+        if (img.closest(selectorUnion('reactions'))) return;
+        if (replyEl && replyEl.contains(img)) return;
+        if (embedImageUrls.has(src)) return;
+        // Stickers are listed separately and are never emoji
+        if (isStickerImage(img)) return;
 
         // Normalize and split potentially concatenated URLs
         const urls = normalizeAndSplitUrls(src);
@@ -964,6 +2435,8 @@ Changelog v1.3.0:
 
       // Process videos
       Array.from(msgEl.querySelectorAll('video, source')).forEach(v => {
+        // Audio players are captured as attachments
+        if (v.closest('audio')) return;
         if (v.src) videoUrls.push(v.src);
       });
 
@@ -995,40 +2468,125 @@ Changelog v1.3.0:
       debugLog('Error extracting media:', e);
     }
 
-    let embeds = [];
+    // Attachments: every uploaded file, with the name/size shown on Discord's attachment card
+    let attachments = [];
     try {
-      const embedEls = Array.from(msgEl.querySelectorAll('iframe, .embed, .embedWrapper-3t2I1I, .richEmbed-2k2e0p, [class*="embed-"]'));
-      embeds = embedEls.map(e => ({ html: e.outerHTML, text: e.textContent?.trim?.() || '' }));
-    } catch (e) { embeds = []; }
+      const byPath = new Map();
+      const sources = Array.from(msgEl.querySelectorAll(selectorUnion('attachment')));
+      sources.forEach(node => {
+        if ((replyEl && replyEl.contains(node)) || embedEls.some(e => e.contains(node))) return;
+        const url = node.getAttribute('href') || node.src || node.getAttribute('src') || '';
+        if (!isLikelyAttachment(url)) return;
+        let path = url;
+        try { path = new URL(url, window.location.href).pathname; } catch (e) {}
+        const existing = byPath.get(path);
+        // Prefer the original CDN link over resized media proxy URLs
+        if (existing && !(node.tagName === 'A' && /cdn\.discord/i.test(url))) return;
+
+        const card = node.closest(selectorUnion('attachmentCard')) || node.parentElement;
+        const nameEl = card && queryFirst(card, 'fileName');
+        let filename = nameEl ? nameEl.textContent.trim() : '';
+        if (!filename) {
+          try { filename = decodeURIComponent(path.split('/').pop() || ''); } catch (e) { filename = path.split('/').pop() || ''; }
+        }
+        let size = '';
+        if (card) {
+          // First metadata node that reads like a size (the name node also has a metadata class)
+          const sizeRe = /^\s*(\d+(?:[.,]\d+)?\s*(?:bytes|[KMGT]i?B))\s*$/i;
+          const sizeEl = Array.from(card.querySelectorAll(selectorUnion('fileSize'))).find(n => sizeRe.test(n.textContent || ''));
+          if (sizeEl) size = sizeRe.exec(sizeEl.textContent)[1];
+        }
+        const mime = guessMimeFromUrl(filename) !== 'application/octet-stream' ? guessMimeFromUrl(filename) : guessMimeFromUrl(path);
+        const kind = (node.tagName === 'AUDIO' || node.closest('audio') || /^audio\//.test(mime)) ? 'audio'
+          : (/^image\//.test(mime) ? 'image' : (/^video\//.test(mime) ? 'video' : 'file'));
+        byPath.set(path, { filename, size: size || (existing && existing.size) || '', mime, kind, url });
+      });
+      attachments = Array.from(byPath.values());
+    } catch (e) { attachments = []; }
 
+    // Reactions: one { emoji, emojiUrl, count, me } per reaction button
     let reactions = [];
     try {
-      const reactionContainers = Array.from(msgEl.querySelectorAll('[class*="reactions-"], [class*="reaction-"], [data-reaction], [aria-label*="reacted"]'));
-      const found = new Set();
-      reactionContainers.forEach(rc => {
-        Array.from(rc.querySelectorAll('span, button, div')).forEach(child => {
-          const txt = (child.textContent || '').trim();
-          if (txt && txt.length < 60) found.add(txt);
-        });
-      });
-      Array.from(msgEl.querySelectorAll('[aria-label]')).forEach(a => {
-        const al = a.getAttribute('aria-label');
-        if (al && /react/i.test(al) && al.length < 120) found.add(al);
+      const buttons = Array.from(msgEl.querySelectorAll(selectorUnion('reactionButton')));
+      const seen = new Set();
+      buttons.forEach(btn => {
+        const label = btn.getAttribute('aria-label') || '';
+        // Skip the "Add Reaction" / super reaction picker buttons
+        if (/add (a )?(super )?reaction/i.test(label)) return;
+        const img = btn.querySelector('img');
+        const emojiNode = queryFirst(btn, 'reactionEmoji');
+        const emoji = (img && (img.getAttribute('alt') || img.getAttribute('data-name'))) ||
+          (emojiNode && emojiNode.textContent.trim()) || (/^(\S+?),/.exec(label) || [])[1] || '';
+        const countEl = queryFirst(btn, 'reactionCount');
+        let count = countEl ? parseInt(countEl.textContent.replace(/[^\d]/g, ''), 10) : NaN;
+        if (isNaN(count)) {
+          const m = /(\d+)\s+reaction/i.exec(label);
+          count = m ? parseInt(m[1], 10) : 1;
+        }
+        const me = btn.getAttribute('aria-pressed') === 'true' || /reactionMe|selected/i.test((btn.className || '').toString());
+        const emojiUrl = img ? (img.src || img.getAttribute('src') || '') : '';
+        if (!emoji && !emojiUrl) return;
+        const key = emoji + '|' + emojiUrl;
+        if (seen.has(key)) return;
+        seen.add(key);
+        reactions.push({ emoji, emojiUrl, count, me });
       });
-      reactions = Array.from(found).map(s => s.trim()).filter(Boolean);
     } catch (e) { reactions = []; }
 
+    // Kept regardless of the emoji/image options so the inventory stays complete
+    let customEmojis = [];
+    let stickers = [];
+    try {
+      const skip = (n) => !!(n.closest(selectorUnion('reactions')) || (replyEl && replyEl.contains(n)) || embedEls.some(e => e.contains(n)));
+      customEmojis = extractCustomEmojis(msgEl, skip);
+      stickers = extractStickers(msgEl, skip);
+    } catch (e) { customEmojis = []; stickers = []; }
+
+    let edited = false;
+    let editedAt = '';
+    try {
+      const editedEl = findEditedMarker(msgEl);
+      if (editedEl && !(replyEl && replyEl.contains(editedEl))) {
+        edited = true;
+        const t = editedEl.matches('time') ? editedEl : (editedEl.closest('time') || editedEl.querySelector('time'));
+        editedAt = t ? (t.getAttribute('datetime') || t.getAttribute('aria-label') || '') : '';
+      }
+    } catch (e) { edited = false; editedAt = ''; }
+
+    let pinned = false;
+    try {
+      pinned = msgEl.matches(selectorUnion('pinned')) || !!msgEl.querySelector(selectorUnion('pinned'));
+    } catch (e) { pinned = false; }
+
+    let type = replyTo ? 'reply' : 'default';
+    if (systemEl) type = detectSystemMessageType(systemMessageText(systemEl));
+
     return {
       messageId,
+      type,
       author,
+      authorId: identity.authorId,
+      username: identity.username,
+      bot: identity.bot,
+      botTag: identity.botTag,
       timestamp,
+      edited,
+      editedAt,
+      pinned,
       avatar,
+      isContinuation,
+      roleColor,
       contentHtml,
       imageUrls: Array.from(new Set(imageUrls)),
       videoUrls: Array.from(new Set(videoUrls)),
       filteredEmojiUrls: Array.from(new Set(filteredEmojiUrls)),
+      attachments,
       embeds,
-      reactions
+      reactions,
+      replyTo,
+      mentions,
+      customEmojis,
+      stickers
     };
   }
 
@@ -1113,64 +2671,348 @@ Changelog v1.3.0:
         }
       });
     }
-    if (!options.includeEmbeds) tmp.querySelectorAll('iframe, .embed, [class*="embed-"]').forEach(n => n.remove());
-    if (!options.includeReactions) tmp.querySelectorAll('[class*="reaction"], [class*="reactions-"], [aria-label*="react"]').forEach(n => n.remove());
+    if (!options.includeEmbeds) tmp.querySelectorAll(selectorUnion('embed')).forEach(n => n.remove());
+    if (!options.includeReactions) tmp.querySelectorAll(selectorUnion('reactions') + ', ' + selectorUnion('reactionButton')).forEach(n => n.remove());
 
     return tmp.innerHTML;
   }
 
+  // ---------- HTML allowlist ----------
+  // Everything that ends up as markup in an export passes through here. Dropped tags lose their
+  // contents; other unknown tags are unwrapped. Unlisted attributes are removed.
+  const SANITIZER_DROP_TAGS = new Set(['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'input',
+    'button', 'textarea', 'select', 'option', 'link', 'meta', 'base', 'svg', 'math', 'template', 'noscript', 'canvas', 'dialog', 'portal']);
+  const SANITIZER_TAG_ATTRS = {
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    video: ['src', 'poster', 'controls', 'loop', 'muted', 'width', 'height'],
+    audio: ['src', 'controls'],
+    source: ['src', 'type'],
+    time: ['datetime'],
+    ol: ['start']
+  };
+  ['b', 'strong', 'i', 'em', 'u', 's', 'del', 'code', 'pre', 'blockquote', 'br', 'p', 'div', 'span', 'ul', 'li',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'small', 'sub', 'sup', 'hr', 'mark'].forEach(t => { SANITIZER_TAG_ATTRS[t] = []; });
+  const SANITIZER_GLOBAL_ATTRS = ['class', 'title', 'aria-label', 'role', 'dir', 'lang', 'style', 'data-mention-type', 'data-mention-id'];
+  const SANITIZER_URL_ATTRS = ['href', 'src', 'poster'];
+
+  // http(s), in-page anchors and relative media/ paths (ZIP); mailto only for links;
+  // data: for media everywhere and for downloads except HTML/SVG documents
+  function isAllowedUrl(url, attr) {
+    const u = (url || '').trim();
+    if (!u) return false;
+    if (/^https?:\/\//i.test(u) || u.startsWith('#') || /^media\/[^:]*$/.test(u)) return true;
+    if (/^data:(image\/(png|jpe?g|gif|webp|avif|apng)|video\/|audio\/)/i.test(u)) return true;
+    if (attr === 'href') return /^mailto:/i.test(u) || (/^data:/i.test(u) && !/^data:(text\/html|application\/xhtml|image\/svg)/i.test(u));
+    return false;
+  }
+
+  function allowedUrl(url, attr) {
+    return isAllowedUrl(url, attr) ? url : '';
+  }
+
+  function createCspNonce() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Exported pages may load media (remote, data: or media/ files next to them) and inline styles;
+  // scripts only when they carry the page's nonce, and nothing may frame, submit or rebase
+  function buildCspMeta(scriptNonce) {
+    const policy = [
+      "default-src 'none'",
+      "img-src * 'self' file: data: blob:",
+      "media-src * 'self' file: data: blob:",
+      "style-src 'unsafe-inline'",
+      'font-src data:',
+      'script-src ' + (scriptNonce ? "'nonce-" + scriptNonce + "'" : "'none'"),
+      "form-action 'none'",
+      "base-uri 'none'"
+    ].join('; ');
+    return '<meta http-equiv="Content-Security-Policy" content="' + escapeHtml(policy) + '">\n';
+  }
+
+  // Resolves to { html, strippedNodes, strippedAttributes }; only unsafe attributes (event handlers,
+  // disallowed URLs, scripted styles) are counted, not Discord's own data-/aria- attributes
+  function sanitizeHtmlAllowlist(html) {
+    const result = { html: '', strippedNodes: 0, strippedAttributes: 0 };
+    if (!html) return result;
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html;
+
+    function clean(parent) {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          node.remove();
+          result.strippedNodes++;
+          return;
+        }
+        const tag = node.tagName.toLowerCase();
+        if (SANITIZER_DROP_TAGS.has(tag)) {
+          node.remove();
+          result.strippedNodes++;
+          return;
+        }
+        const tagAttrs = SANITIZER_TAG_ATTRS[tag];
+        if (!tagAttrs) {
+          // Keep the text of unknown elements
+          clean(node);
+          node.replaceWith(...Array.from(node.childNodes));
+          result.strippedNodes++;
+          return;
+        }
+        Array.from(node.attributes).forEach(attr => {
+          const name = attr.name.toLowerCase();
+          let unsafe = /^on/.test(name);
+          let keep = !unsafe && (tagAttrs.includes(name) || SANITIZER_GLOBAL_ATTRS.includes(name));
+          if (keep && SANITIZER_URL_ATTRS.includes(name) && !isAllowedUrl(attr.value, name)) keep = !(unsafe = true);
+          if (keep && name === 'style' && /url\s*\(|expression|javascript:|@import|behavior/i.test(attr.value)) keep = !(unsafe = true);
+          if (!keep) {
+            node.removeAttribute(attr.name);
+            if (unsafe) result.strippedAttributes++;
+          }
+        });
+        if (tag === 'a' && node.getAttribute('target')) node.setAttribute('rel', 'noopener noreferrer');
+        clean(node);
+      });
+    }
+
+    clean(tmp);
+    result.html = tmp.innerHTML;
+    return result;
+  }
+
   // ---------- Media fetching ----------
-  function fetchAsDataUri(url) {
+  const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif',
+    mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime',
+    mp3: 'audio/mpeg', ogg: 'audio/ogg', wav: 'audio/wav', m4a: 'audio/mp4', flac: 'audio/flac', opus: 'audio/opus',
+    pdf: 'application/pdf', zip: 'application/zip', '7z': 'application/x-7z-compressed', rar: 'application/vnd.rar', gz: 'application/gzip',
+    txt: 'text/plain', log: 'text/plain', md: 'text/markdown', csv: 'text/csv', json: 'application/json', xml: 'application/xml',
+    html: 'text/html', js: 'text/javascript', ts: 'text/plain', py: 'text/x-python', java: 'text/plain', c: 'text/plain', cpp: 'text/plain'
+  };
+
+  function guessMimeFromUrl(url) {
+    const ext = (url || '').split('?')[0].split('.').pop().toLowerCase();
+    return MIME_TYPES[ext] || 'application/octet-stream';
+  }
+
+  // One GET. settings: { timeoutMs, maxAssetBytes }. Non-2xx responses become "http_<status>" errors
+  // carrying Retry-After (ms) when the server sent one; oversized assets are aborted as "too_large".
+  function fetchMediaBytes(url, settings = {}) {
     return new Promise((resolve) => {
-      if (!url) return resolve({ url, dataUri: null, error: 'empty' });
-      if (url.startsWith('data:')) return resolve({ url, dataUri: url, error: null });
-      GM_xmlhttpRequest({
+      if (!url) return resolve({ url, bytes: null, mime: '', error: 'empty' });
+      const maxBytes = settings.maxAssetBytes || 0;
+      let req = null;
+      let watchdog = null;
+      let settled = false;
+      function done(result) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(watchdog);
+        resolve(result);
+      }
+      function abort(error) {
+        try { if (req && req.abort) req.abort(); } catch (e) {}
+        done({ url, bytes: null, mime: '', error });
+      }
+      const details = {
         method: 'GET',
         url: url,
         responseType: 'arraybuffer',
+        onprogress(e) {
+          // Stop as soon as the asset is known to be over the cap
+          if (maxBytes && ((e.lengthComputable && e.total > maxBytes) || e.loaded > maxBytes)) abort('too_large');
+        },
         onload(res) {
+          // Status 0 is an opaque or blocked response - its empty body is not the asset
+          if (!(res.status >= 200 && res.status < 300)) {
+            return done({ url, bytes: null, mime: '', error: 'http_' + (res.status || 0), retryAfterMs: parseRetryAfter(res.responseHeaders) });
+          }
           try {
-            const arr = new Uint8Array(res.response);
-            let binary = '';
-            const chunk = 0x8000;
-            for (let i = 0; i < arr.length; i += chunk) {
-              binary += String.fromCharCode.apply(null, arr.subarray(i, i + chunk));
-            }
-            const b64 = btoa(binary);
+            const bytes = new Uint8Array(res.response);
+            if (maxBytes && bytes.byteLength > maxBytes) return done({ url, bytes: null, mime: '', error: 'too_large' });
             let mime = '';
             if (res.responseHeaders) {
               const m = /content-type:\s*([^\r\n;]+)/i.exec(res.responseHeaders);
               if (m) mime = m[1];
             }
-            if (!mime) {
-              const ext = url.split('?')[0].split('.').pop().toLowerCase();
-              const map = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', mp4: 'video/mp4', webm: 'video/webm', svg: 'image/svg+xml' };
-              mime = map[ext] || 'application/octet-stream';
-            }
-            const dataUri = 'data:' + mime + ';base64,' + b64;
-            resolve({ url, dataUri, error: null });
+            if (!mime) mime = guessMimeFromUrl(url);
+            done({ url, bytes, mime, error: null });
           } catch (err) {
-            resolve({ url, dataUri: null, error: 'conversion_failed' });
+            done({ url, bytes: null, mime: '', error: 'conversion_failed' });
           }
         },
-        onerror(err) { resolve({ url, dataUri: null, error: 'request_failed' }); },
-        ontimeout() { resolve({ url, dataUri: null, error: 'timeout' }); }
-      });
+        onerror(err) { done({ url, bytes: null, mime: '', error: 'request_failed' }); },
+        ontimeout() { done({ url, bytes: null, mime: '', error: 'timeout' }); }
+      };
+      if (settings.timeoutMs) {
+        details.timeout = settings.timeoutMs;
+        // Not every userscript manager honors timeout
+        watchdog = setTimeout(() => abort('timeout'), settings.timeoutMs + 1000);
+      }
+      req = GM_xmlhttpRequest(details);
+    });
+  }
+
+  // Retry-After as seconds or an HTTP date, in ms (0 when absent)
+  function parseRetryAfter(headers) {
+    const m = /retry-after:\s*([^\r\n]+)/i.exec(headers || '');
+    if (!m) return 0;
+    const value = m[1].trim();
+    const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return isNaN(ms) ? 0 : Math.min(Math.max(ms, 0), MAX_RETRY_WAIT_MS);
+  }
+
+  function isRetryableFetchError(error) {
+    return error === 'request_failed' || error === 'timeout' || error === 'http_408' || error === 'http_429' || /^http_5\d\d$/.test(error || '');
+  }
+
+  // fetchMediaBytes with settings.retries extra attempts: exponential backoff with jitter,
+  // or the server's Retry-After (429 / 503) when that is longer
+  async function fetchMediaWithRetry(url, settings = {}) {
+    const retries = Math.max(0, settings.retries || 0);
+    let res = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const backoff = FETCH_BACKOFF_MS * Math.pow(2, attempt - 1) * (0.75 + Math.random() * 0.5);
+        const wait = Math.min(Math.max(backoff, res.retryAfterMs || 0), MAX_RETRY_WAIT_MS);
+        debugLog('Retrying', url, 'in', Math.round(wait), 'ms after', res.error);
+        await new Promise(r => setTimeout(r, wait));
+      }
+      res = await fetchMediaBytes(url, settings);
+      res.attempts = attempt + 1;
+      if (!res.error || !isRetryableFetchError(res.error)) break;
+    }
+    return res;
+  }
+
+  // Caps the bytes fetched for one export; no request starts once the cap is reached and those assets
+  // keep their remote URL (reported as export_limit). Assets already downloading when it is reached are
+  // kept - their bytes are spent anyway - so the total can go over by what was in flight.
+  function limitMediaBytes(fetchBytes, maxTotalBytes) {
+    if (!maxTotalBytes) return fetchBytes;
+    let used = 0;
+    return async (url) => {
+      if (used >= maxTotalBytes) return { url, bytes: null, mime: '', error: 'export_limit' };
+      const res = await fetchBytes(url);
+      if (res.bytes && !res.error) used += res.bytes.byteLength;
+      return res;
+    };
+  }
+
+  // Retry / timeout / size settings from the options (0 MB = no limit)
+  function getFetchSettings(options) {
+    const num = (value, fallback) => (value === '' || value === null || value === undefined || isNaN(Number(value))) ? fallback : Math.max(0, Number(value));
+    return {
+      retries: num(options.fetchRetries, DEFAULT_OPTIONS.fetchRetries),
+      timeoutMs: num(options.fetchTimeoutSec, DEFAULT_OPTIONS.fetchTimeoutSec) * 1000,
+      maxAssetBytes: num(options.maxAssetMB, DEFAULT_OPTIONS.maxAssetMB) * 1024 * 1024,
+      maxExportBytes: num(options.maxExportMB, DEFAULT_OPTIONS.maxExportMB) * 1024 * 1024
+    };
+  }
+
+  function describeFetchError(error) {
+    const http = /^http_(\d+)$/.exec(error || '');
+    if (http && http[1] === '0') return 'Blocked or empty response';
+    if (http) return 'HTTP ' + http[1] + (http[1] === '429' ? ' (rate limited)' : (http[1] === '403' || http[1] === '404' ? ' (link expired or removed)' : ''));
+    return {
+      timeout: 'Timed out',
+      too_large: 'Larger than the per-asset size limit',
+      export_limit: 'Export size limit reached',
+      skipped: 'Not fetched',
+      request_failed: 'Network error',
+      conversion_failed: 'Could not read the response',
+      empty: 'No URL'
+    }[error] || error;
+  }
+
+  // Every asset that was meant to be fetched but kept its remote URL: [{ url, error, reason, attempts }]
+  function collectMediaFailures(imageMap) {
+    return Object.keys(imageMap || {}).map(u => imageMap[u])
+      .filter(r => r && r.error && r.error !== 'not_fetched')
+      .map(r => ({ url: r.url, error: r.error, reason: describeFetchError(r.error), attempts: r.attempts || 1 }));
+  }
+
+  // "name.png: HTTP 404 (link expired or removed)" lines for the first few failures (notifications)
+  function summarizeMediaFailures(failures, limit = 3) {
+    const lines = failures.slice(0, limit).map(f => {
+      let name = f.url;
+      try { name = decodeURIComponent(new URL(f.url).pathname.split('/').pop()) || f.url; } catch (e) {}
+      return name + ': ' + f.reason;
+    });
+    if (failures.length > limit) lines.push('... and ' + (failures.length - limit) + ' more (see the export)');
+    return lines.join('\n');
+  }
+
+  // Fetched media is held as a Blob (outside the script's heap); the base64 data URI is only produced
+  // by inlineVolumeMedia while the volume that shows it is written, and dropped again afterwards
+  async function fetchAsBlob(url, fetchBytes = fetchMediaBytes) {
+    if (url && url.startsWith('data:')) return { url, dataUri: url, error: null };
+    const res = await fetchBytes(url);
+    if (res.error) return { url, dataUri: null, error: res.error, attempts: res.attempts };
+    return { url, dataUri: null, blob: new Blob([res.bytes], { type: res.mime }), size: res.bytes.byteLength, error: null };
+  }
+
+  function blobToDataUri(blob) {
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
     });
   }
 
-  async function fetchAllDataUris(urls, onProgress) {
+  // Every media URL a message references (avatar, images, videos, reaction emoji, embed images, files, stickers)
+  function messageMediaUrls(m) {
+    const urls = [];
+    if (m.avatar) urls.push(m.avatar);
+    (m.imageUrls || []).forEach(u => urls.push(u));
+    (m.videoUrls || []).forEach(u => urls.push(u));
+    (m.reactions || []).forEach(r => { if (r.emojiUrl) urls.push(r.emojiUrl); });
+    (m.embeds || []).forEach(e => getEmbedImageUrls(e).forEach(u => urls.push(u)));
+    // Images/videos are already listed above; audio and other files are fetched from their attachment URL
+    (m.attachments || []).forEach(a => { if (a.kind === 'audio' || a.kind === 'file') urls.push(a.url); });
+    (m.stickers || []).forEach(s => { if (s.url) urls.push(s.url); });
+    return urls.filter(Boolean);
+  }
+
+  // Encodes the fetched media behind urls as data URIs (see fetchAsBlob)
+  async function inlineVolumeMedia(urls, imageMap) {
+    for (const url of new Set(urls)) {
+      const entry = imageMap[url];
+      if (!entry || !entry.blob || entry.dataUri) continue;
+      entry.dataUri = await blobToDataUri(entry.blob);
+      if (!entry.dataUri) entry.error = 'conversion_failed';
+    }
+  }
+
+  function releaseVolumeMedia(imageMap) {
+    Object.keys(imageMap).forEach(u => { if (imageMap[u].blob) imageMap[u].dataUri = null; });
+  }
+
+  // Runs fetchFn over the unique URLs, IMAGE_FETCH_CONCURRENCY at a time
+  async function fetchAllMedia(urls, fetchFn, onProgress, control) {
     const unique = Array.from(new Set(urls.filter(u => !!u)));
     const results = {};
     let index = 0;
     let active = 0;
     return new Promise((resolve) => {
       function next() {
+        if (control && (control.paused || control.cancelled)) {
+          // Running requests finish; nothing new starts until resumed (cancelled: resolve with what we have)
+          if (active > 0) return;
+          if (control.cancelled) return resolve(results);
+          control.checkpoint().then(next);
+          return;
+        }
         if (index >= unique.length && active === 0) return resolve(results);
         while (active < IMAGE_FETCH_CONCURRENCY && index < unique.length) {
           const url = unique[index++];
           active++;
-          fetchAsDataUri(url).then(r => {
+          fetchFn(url).then(r => {
             results[url] = r;
             active--;
             if (onProgress) onProgress({ url, done: Object.keys(results).length, total: unique.length });
@@ -1182,65 +3024,953 @@ Changelog v1.3.0:
     });
   }
 
-  // ---------- Export builders ----------
-  function buildHtmlExport(title, threadUrl, messages, imageMap, theme = 'light', options = {}) {
-    // CSS: constrain content images and force emoji-like images small
-    // Added more aggressive emoji size constraints
-    const styleLight = '\n' +
-      'body { font-family: -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Helvetica Neue",Arial; background:#f6f8fa; color:#222; }\n' +
-      '.container { max-width:980px; margin:20px auto; background:#fff; padding:20px; border-radius:8px; box-shadow:0 8px 24px rgba(15,15,15,0.08); }\n' +
-      '.message { border-bottom:1px solid #eee; padding:14px 0; display:flex; gap:12px; align-items:flex-start; }\n' +
-      '.meta { font-size:13px; color:#555; margin-bottom:6px; }\n' +
-      '.author { font-weight:700; margin-right:8px; }\n' +
-      '.time { color:#888; font-size:12px; }\n' +
-      '.content { margin:6px 0; white-space:pre-wrap; word-break:break-word; }\n' +
-      '.content img { max-width:100%; max-height:480px; height:auto; vertical-align:middle; }\n' +
-      '.content img.emoji, .content img[src*="emoji"], .content img[src*="/assets/"], .content img[alt^=":"], .content img[alt$=":"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; vertical-align:middle; display:inline !important; }\n' +
-      '.attachments img.emoji { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n' +
-      '.attachments img:not(.emoji) { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
-      '.attachments video { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
-      '.avatar { width:36px; height:36px; border-radius:50%; flex-shrink:0; object-fit:cover; }\n' +
-      '.message-body { flex:1; min-width:0; }\n' +
-      '.reactions { margin-top:6px; color:#555; font-size:13px; }\n' +
-      'a { color:#3b82f6; word-break:break-all; }\n' +
-      'img[src*="clan-badges"], img[src*="twemoji"], img[src*="/emojis/"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n';
-
-    const styleDark = '\n' +
-      'body { font-family: -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Helvetica Neue",Arial; background:#0f1720; color:#e6eef8; }\n' +
-      '.container { max-width:980px; margin:20px auto; background:#0b1220; padding:20px; border-radius:8px; box-shadow:0 8px 24px rgba(0,0,0,0.5); }\n' +
-      '.message { border-bottom:1px solid rgba(255,255,255,0.04); padding:14px 0; display:flex; gap:12px; align-items:flex-start; }\n' +
-      '.meta { font-size:13px; color:#9fb0d8; margin-bottom:6px; }\n' +
-      '.author { font-weight:700; margin-right:8px; color:#fff; }\n' +
-      '.time { color:#8aa; font-size:12px; }\n' +
-      '.content { margin:6px 0; white-space:pre-wrap; word-break:break-word; }\n' +
-      '.content img { max-width:100%; max-height:480px; height:auto; vertical-align:middle; }\n' +
-      '.content img.emoji, .content img[src*="emoji"], .content img[src*="/assets/"], .content img[alt^=":"], .content img[alt$=":"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; vertical-align:middle; display:inline !important; }\n' +
-      '.attachments img.emoji { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n' +
-      '.attachments img:not(.emoji) { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
-      '.attachments video { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
-      '.avatar { width:36px; height:36px; border-radius:50%; flex-shrink:0; object-fit:cover; }\n' +
-      '.message-body { flex:1; min-width:0; }\n' +
-      '.reactions { margin-top:6px; color:#9fb0d8; font-size:13px; }\n' +
-      'a { color:#60a5fa; word-break:break-all; }\n' +
-      'img[src*="clan-badges"], img[src*="twemoji"], img[src*="/emojis/"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n';
+  async function fetchAllMediaBlobs(urls, onProgress, fetchBytes = fetchMediaBytes, control = null) {
+    return fetchAllMedia(urls, (url) => fetchAsBlob(url, fetchBytes), onProgress, control);
+  }
 
-    function escapeHtml(s) {
-      if (!s) return '';
-      return s.replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;').replaceAll("'", '&#39;');
+  // "media/00012-image.png" - index prefix keeps names unique, extension follows the MIME type if missing
+  function mediaFileName(url, index, mime) {
+    let base = '';
+    try {
+      base = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop() || '');
+    } catch (e) {}
+    base = base.replace(/[^a-z0-9._-]+/gi, '_').slice(-60) || 'file';
+    if (!/\.[a-z0-9]{2,5}$/i.test(base)) {
+      const ext = Object.keys(MIME_TYPES).find(k => MIME_TYPES[k] === mime);
+      if (ext) base += '.' + ext;
     }
+    return 'media/' + String(index).padStart(5, '0') + '-' + base;
+  }
 
-    const rows = messages.map(m => {
-      let content = m.contentHtml || '';
-
-      // Replace media URLs inside content with embedded data URIs when available
-      (m.imageUrls || []).forEach(url => {
-        const mapped = imageMap[url];
-        if (mapped && mapped.dataUri) content = content.replaceAll(url, mapped.dataUri);
+  // ---------- Media cache ----------
+  // Fetched media is kept in IndexedDB between exports: "blobs" holds the bytes, "entries" the
+  // size and last use of each key so LRU eviction does not have to load the bytes.
+  const MEDIA_CACHE_DB = 'dte_media_cache';
+  let mediaCacheDbPromise = null;
+  // key -> lastUsed of cache hits not yet written back; lookups stay read-only and pruneMediaCache
+  // stores the touches in one go
+  const pendingCacheTouches = new Map();
+
+  function openMediaCache() {
+    if (!mediaCacheDbPromise) {
+      mediaCacheDbPromise = new Promise((resolve) => {
+        try {
+          const req = indexedDB.open(MEDIA_CACHE_DB, 1);
+          req.onupgradeneeded = () => {
+            const db = req.result;
+            db.createObjectStore('blobs', { keyPath: 'key' });
+            db.createObjectStore('entries', { keyPath: 'key' });
+          };
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => {
+            debugLog('Media cache unavailable:', req.error);
+            resolve(null);
+          };
+        } catch (e) {
+          debugLog('Media cache unavailable:', e);
+          resolve(null);
+        }
       });
-      (m.videoUrls || []).forEach(url => {
-        const mapped = imageMap[url];
-        if (mapped && mapped.dataUri) content = content.replaceAll(url, mapped.dataUri);
+    }
+    return mediaCacheDbPromise;
+  }
+
+  // Attachment URLs carry expiring signatures (ex/is/hm), so attachments are keyed by their ID;
+  // other URLs by host + path + the remaining (size/format) query parameters
+  function mediaCacheKey(url) {
+    try {
+      const u = new URL(url, window.location.href);
+      ['ex', 'is', 'hm'].forEach(p => u.searchParams.delete(p));
+      u.searchParams.sort();
+      const query = u.searchParams.toString();
+      const att = /\/(?:ephemeral-)?attachments\/\d+\/(\d+)\/([^/]+)$/.exec(u.pathname);
+      if (att) return 'attachment:' + att[1] + '/' + att[2] + (query ? '?' + query : '');
+      return u.host.toLowerCase() + u.pathname + (query ? '?' + query : '');
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function mediaCacheGet(db, key) {
+    return new Promise((resolve) => {
+      try {
+        const tx = db.transaction('blobs', 'readonly');
+        let found = null;
+        const req = tx.objectStore('blobs').get(key);
+        req.onsuccess = () => {
+          found = req.result || null;
+          if (found) pendingCacheTouches.set(key, Date.now());
+        };
+        tx.oncomplete = () => resolve(found ? { bytes: new Uint8Array(found.bytes), mime: found.mime } : null);
+        tx.onerror = tx.onabort = () => resolve(null);
+      } catch (e) { resolve(null); }
+    });
+  }
+
+  function mediaCachePut(db, key, bytes, mime) {
+    return new Promise((resolve) => {
+      try {
+        const tx = db.transaction(['blobs', 'entries'], 'readwrite');
+        const buf = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+        tx.objectStore('blobs').put({ key, bytes: buf, mime });
+        tx.objectStore('entries').put({ key, size: buf.byteLength, lastUsed: Date.now() });
+        tx.oncomplete = () => resolve(true);
+        // Quota errors just mean the item is not cached
+        tx.onerror = tx.onabort = () => resolve(false);
+      } catch (e) { resolve(false); }
+    });
+  }
+
+  // Writes pending LRU touches, then drops least recently used entries until the cache fits in maxBytes.
+  // Resolves to { count, bytes } left.
+  function pruneMediaCache(db, maxBytes) {
+    return new Promise((resolve) => {
+      const usage = { count: 0, bytes: 0 };
+      try {
+        const tx = db.transaction(['blobs', 'entries'], 'readwrite');
+        const entries = tx.objectStore('entries');
+        const touches = new Map(pendingCacheTouches);
+        pendingCacheTouches.clear();
+        const req = entries.getAll();
+        req.onsuccess = () => {
+          const all = req.result || [];
+          all.forEach(e => {
+            if (!touches.has(e.key) || touches.get(e.key) <= e.lastUsed) return;
+            e.lastUsed = touches.get(e.key);
+            entries.put(e);
+          });
+          all.sort((a, b) => a.lastUsed - b.lastUsed);
+          usage.count = all.length;
+          usage.bytes = all.reduce((sum, e) => sum + (e.size || 0), 0);
+          for (const e of all) {
+            if (usage.bytes <= maxBytes) break;
+            entries.delete(e.key);
+            tx.objectStore('blobs').delete(e.key);
+            usage.bytes -= e.size || 0;
+            usage.count--;
+          }
+        };
+        tx.oncomplete = () => resolve(usage);
+        tx.onerror = tx.onabort = () => resolve(usage);
+      } catch (e) { resolve(usage); }
+    });
+  }
+
+  // Read-only { count, bytes }; pending touches are left for the next prune
+  function getMediaCacheUsage(db) {
+    return new Promise((resolve) => {
+      const usage = { count: 0, bytes: 0 };
+      try {
+        const req = db.transaction('entries', 'readonly').objectStore('entries').getAll();
+        req.onsuccess = () => {
+          const all = req.result || [];
+          usage.count = all.length;
+          usage.bytes = all.reduce((sum, e) => sum + (e.size || 0), 0);
+          resolve(usage);
+        };
+        req.onerror = () => resolve(usage);
+      } catch (e) { resolve(usage); }
+    });
+  }
+
+  function clearMediaCache(db) {
+    return new Promise((resolve) => {
+      try {
+        const tx = db.transaction(['blobs', 'entries'], 'readwrite');
+        tx.objectStore('blobs').clear();
+        tx.objectStore('entries').clear();
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = tx.onabort = () => resolve(false);
+      } catch (e) { resolve(false); }
+    });
+  }
+
+  // fetchBytes (network) through the cache; counts.hits / counts.misses are updated as URLs resolve.
+  // Single items over a quarter of the cap are fetched but not stored. Hits larger than maxAssetBytes
+  // fail as too_large, the same as a download would.
+  function cachedMediaFetcher(db, maxBytes, counts, fetchBytes = fetchMediaBytes, maxAssetBytes = 0) {
+    return async (url) => {
+      if (!db || !url || url.startsWith('data:')) return fetchBytes(url);
+      const key = mediaCacheKey(url);
+      const hit = await mediaCacheGet(db, key);
+      if (hit) {
+        counts.hits++;
+        if (maxAssetBytes && hit.bytes && hit.bytes.byteLength > maxAssetBytes) return { url, bytes: null, mime: '', error: 'too_large' };
+        return { url, bytes: hit.bytes, mime: hit.mime, error: null };
+      }
+      counts.misses++;
+      const res = await fetchBytes(url);
+      if (!res.error && res.bytes && res.bytes.byteLength <= maxBytes / 4) await mediaCachePut(db, key, res.bytes, res.mime);
+      return res;
+    };
+  }
+
+  function formatBytes(n) {
+    if (n < 1024) return n + ' B';
+    if (n < 1024 * 1024) return (n / 1024).toFixed(1) + ' KB';
+    return (n / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  // ---------- ZIP writer ----------
+  // Minimal PKZIP writer (no ZIP64): entries are stored, or deflated via CompressionStream when asked and available
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  async function deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (e) {
+      debugLog('deflate-raw unavailable, storing:', e);
+      return null;
+    }
+  }
+
+  // files: [{ name, data: Uint8Array | string | Blob, compress }] -> Blob. Files are read one at a time
+  // and their payloads kept as Blobs, so the archive is never held in memory as a whole.
+  async function buildZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const nameBytes = encoder.encode(file.name);
+      const raw = typeof file.data === 'string' ? encoder.encode(file.data)
+        : (file.data instanceof Blob ? new Uint8Array(await file.data.arrayBuffer()) : file.data);
+      const crc = crc32(raw);
+      let method = 0;
+      let payload = raw;
+      if (file.compress) {
+        const deflated = await deflateRaw(raw);
+        if (deflated && deflated.length < raw.length) { method = 8; payload = deflated; }
+      }
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, method, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, payload.length, true);
+      local.setUint32(22, raw.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      // A stored Blob goes into the archive as is; anything else is copied into a Blob of its own
+      parts.push(local.buffer, nameBytes, (method === 0 && file.data instanceof Blob) ? file.data : new Blob([payload]));
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, method, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, payload.length, true);
+      entry.setUint32(24, raw.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, nameBytes);
+
+      offset += 30 + nameBytes.length + payload.length;
+    }
+
+    const centralSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(central, [end.buffer]), { type: 'application/zip' });
+  }
+
+  // ---------- Statistics ----------
+  // Accepts extracted messages and previously exported JSON messages (images/videos instead of imageUrls/videoUrls)
+  function computeExportStats(messages) {
+    const byAuthor = new Map();
+    const hours = new Array(24).fill(0);
+    let first = null;
+    let last = null;
+    const totals = { imageCount: 0, videoCount: 0, fileCount: 0, embedCount: 0, reactionCount: 0 };
+
+    messages.forEach(m => {
+      const images = (m.imageUrls || m.images || []).length;
+      const videos = (m.videoUrls || m.videos || []).length;
+      const files = (m.attachments || []).filter(a => a.kind === 'audio' || a.kind === 'file').length;
+      const reactions = (m.reactions || []).reduce((sum, r) => sum + (typeof r === 'object' ? (r.count || 0) : 1), 0);
+      totals.imageCount += images;
+      totals.videoCount += videos;
+      totals.fileCount += files;
+      totals.embedCount += (m.embeds || []).length;
+      totals.reactionCount += reactions;
+
+      // Keyed by user ID when known so renamed users and shared display names stay apart
+      const name = m.author || 'Unknown';
+      const key = m.authorId ? 'id:' + m.authorId : 'name:' + name;
+      let a = byAuthor.get(key);
+      if (!a) {
+        a = { author: name, authorId: m.authorId || '', messages: 0, firstPost: '', lastPost: '', images: 0, videos: 0, files: 0, reactionsReceived: 0 };
+        byAuthor.set(key, a);
+      }
+      a.messages++;
+      a.images += images;
+      a.videos += videos;
+      a.files += files;
+      a.reactionsReceived += reactions;
+
+      const ts = parseTimestampToNumber(m.timestamp);
+      if (!ts) return;
+      hours[new Date(ts).getHours()]++;
+      if (!a.firstPost || ts < parseTimestampToNumber(a.firstPost)) a.firstPost = m.timestamp;
+      if (!a.lastPost || ts > parseTimestampToNumber(a.lastPost)) a.lastPost = m.timestamp;
+      if (!first || ts < first.ts) first = { ts, timestamp: m.timestamp, author: name, messageId: m.messageId || '' };
+      if (!last || ts > last.ts) last = { ts, timestamp: m.timestamp, author: name, messageId: m.messageId || '' };
+    });
+
+    const strip = (p) => p ? { timestamp: p.timestamp, author: p.author, messageId: p.messageId } : null;
+    const authors = Array.from(byAuthor.values()).sort((x, y) => y.messages - x.messages);
+    const busiestHours = hours.map((count, hour) => ({ hour, count })).filter(h => h.count)
+      .sort((x, y) => y.count - x.count).slice(0, 3);
+
+    return Object.assign({
+      messageCount: messages.length,
+      authorCount: authors.length,
+      firstPost: strip(first),
+      lastPost: strip(last),
+      authors,
+      hours,
+      busiestHours,
+      // Hours are counted in the exporting browser's time zone
+      timeZone: (Intl.DateTimeFormat().resolvedOptions() || {}).timeZone || ''
+    }, totals);
+  }
+
+  function buildStatsCsv(stats) {
+    const rows = [['author', 'authorId', 'messages', 'share', 'firstPost', 'lastPost', 'images', 'videos', 'files', 'reactionsReceived']];
+    stats.authors.forEach(a => {
+      const share = stats.messageCount ? (a.messages / stats.messageCount * 100).toFixed(1) + '%' : '';
+      rows.push([a.author, a.authorId || '', a.messages, share, a.firstPost, a.lastPost, a.images, a.videos, a.files, a.reactionsReceived]);
+    });
+    return rows.map(row => row.map(cell => {
+      const s = (cell === null || cell === undefined) ? '' : String(cell);
+      if (s.includes('"') || s.includes(',') || s.includes('\n')) return '"' + s.replace(/"/g, '""') + '"';
+      return s;
+    }).join(',')).join('\n');
+  }
+
+  function buildStatsHtml(stats) {
+    const max = Math.max(1, ...stats.hours);
+    const hourBars = stats.hours.map((count, hour) =>
+      '<div class="stats-hour" title="' + String(hour).padStart(2, '0') + ':00 - ' + count + ' message(s)"><div style="height:' + Math.round(count / max * 100) + '%"></div><span>' + hour + '</span></div>').join('');
+    const authorRows = stats.authors.map(a => '<tr><td>' + escapeHtml(a.author) + '</td><td>' + a.messages + '</td><td>' +
+      escapeHtml(a.firstPost) + '</td><td>' + escapeHtml(a.lastPost) + '</td><td>' + (a.images + a.videos + a.files) + '</td><td>' + a.reactionsReceived + '</td></tr>').join('');
+    const busiest = stats.busiestHours.map(h => String(h.hour).padStart(2, '0') + ':00 (' + h.count + ')').join(', ');
+    return '<details class="stats" open><summary>Summary</summary>\n' +
+      '<div class="stats-grid">' +
+      '<div><b>' + stats.messageCount + '</b> messages</div>' +
+      '<div><b>' + stats.authorCount + '</b> authors</div>' +
+      '<div><b>' + stats.imageCount + '</b> images</div>' +
+      '<div><b>' + stats.videoCount + '</b> videos</div>' +
+      '<div><b>' + stats.fileCount + '</b> files</div>' +
+      '<div><b>' + stats.reactionCount + '</b> reactions</div>' +
+      '</div>\n' +
+      (stats.firstPost ? '<p>First post: ' + escapeHtml(stats.firstPost.timestamp) + ' by ' + escapeHtml(stats.firstPost.author) +
+        ' - last post: ' + escapeHtml(stats.lastPost.timestamp) + ' by ' + escapeHtml(stats.lastPost.author) + '</p>\n' : '') +
+      (busiest ? '<p>Busiest hours' + (stats.timeZone ? ' (' + escapeHtml(stats.timeZone) + ')' : '') + ': ' + busiest + '</p>\n' : '') +
+      '<div class="stats-hours">' + hourBars + '</div>\n' +
+      '<table class="stats-authors"><tr><th>Author</th><th>Messages</th><th>First post</th><th>Last post</th><th>Media</th><th>Reactions</th></tr>' + authorRows + '</table>\n' +
+      '</details>';
+  }
+
+  // ---------- Output streaming and volumes ----------
+  // Builders write their output piece by piece; pieces are packed into Blob parts every
+  // BLOB_PART_CHARS so a large export never exists as one giant string.
+  function createBlobWriter(mime) {
+    const parts = [];
+    let pending = [];
+    let pendingChars = 0;
+    function flush() {
+      if (!pending.length) return;
+      parts.push(new Blob(pending));
+      pending = [];
+      pendingChars = 0;
+    }
+    return {
+      write(text) {
+        if (!text) return;
+        pending.push(text);
+        pendingChars += text.length;
+        if (pendingChars >= BLOB_PART_CHARS) flush();
+      },
+      toBlob() {
+        flush();
+        return new Blob(parts, { type: mime });
+      }
+    };
+  }
+
+  // Length of a media reference in the output: the data URI it will be inlined as, or its URL / media/ path
+  function embeddedLength(url, imageMap) {
+    const entry = url ? imageMap[url] : null;
+    if (entry && entry.dataUri) return entry.dataUri.length;
+    if (entry && entry.blob) return Math.ceil(entry.size / 3) * 4 + 40;
+    return url ? url.length : 0;
+  }
+
+  // Rough size of a message in the output: its markup plus every media reference (data URIs included)
+  function estimateMessageSize(m, imageMap) {
+    const ref = (u) => embeddedLength(u, imageMap);
+    let size = 800 + (m.contentHtml || '').length + ref(m.avatar);
+    (m.imageUrls || []).forEach(u => { size += ref(u); });
+    (m.videoUrls || []).forEach(u => { size += ref(u); });
+    (m.attachments || []).forEach(a => { size += ref(a.url) + 100; });
+    (m.stickers || []).forEach(s => { size += ref(s.url); });
+    (m.reactions || []).forEach(r => { size += ref(r.emojiUrl) + 60; });
+    (m.embeds || []).forEach(e => { size += 400 + (e.description || '').length + getEmbedImageUrls(e).reduce((sum, u) => sum + ref(u), 0); });
+    return size;
+  }
+
+  // Splits messages into volumes of at most options.splitMessages messages and about options.splitMB
+  // megabytes (either limit may be 0 = off); always returns at least one volume
+  function planVolumes(messages, imageMap, options) {
+    const maxCount = Math.max(0, Math.floor(Number(options.splitMessages) || 0));
+    const maxSize = Math.max(0, Number(options.splitMB) || 0) * 1024 * 1024;
+    if (!maxCount && !maxSize) return [messages];
+    const volumes = [];
+    let current = [];
+    let size = 0;
+    messages.forEach(m => {
+      const messageSize = maxSize ? estimateMessageSize(m, imageMap) : 0;
+      if (current.length && ((maxCount && current.length >= maxCount) || (maxSize && size + messageSize > maxSize))) {
+        volumes.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push(m);
+      size += messageSize;
+    });
+    if (current.length || !volumes.length) volumes.push(current);
+    return volumes;
+  }
+
+  // "export-vol002.html"; single-volume exports keep the plain name
+  function volumeFileNames(base, ext, count) {
+    if (count <= 1) return [base + ext];
+    return Array.from({ length: count }, (_, i) => base + '-vol' + String(i + 1).padStart(3, '0') + ext);
+  }
+
+  // Volume info handed to the builders: { index, count, previous, next, fileOf (message ID -> file), allMessages }
+  function describeVolumes(volumes, names) {
+    if (volumes.length <= 1) return [null];
+    const fileOf = new Map();
+    volumes.forEach((v, i) => v.forEach(m => { if (m.messageId) fileOf.set(m.messageId, names[i]); }));
+    const allMessages = [].concat(...volumes);
+    return volumes.map((v, i) => ({ index: i + 1, count: volumes.length, previous: names[i - 1] || '', next: names[i + 1] || '', fileOf, allMessages }));
+  }
+
+  // One pass over src/href/poster attributes instead of a replaceAll over the content per media URL
+  function inlineMediaUrls(html, imageMap) {
+    if (!html) return html;
+    return html.replace(/\b(src|href|poster)="([^"]*)"/g, (match, attr, value) => {
+      const mapped = imageMap[value] || imageMap[value.replace(/&amp;/g, '&')];
+      return (mapped && mapped.dataUri) ? attr + '="' + escapeHtml(mapped.dataUri) + '"' : match;
+    });
+  }
+
+  // Same layout as JSON.stringify(Object.assign({}, head, { [key]: items }), null, 2), one item at a time
+  function writeJsonDocument(write, head, key, items) {
+    const indent = (json, pad) => json.replace(/\n/g, '\n' + pad);
+    write('{\n');
+    Object.keys(head).forEach(k => {
+      if (head[k] !== undefined) write('  ' + JSON.stringify(k) + ': ' + indent(JSON.stringify(head[k], null, 2), '  ') + ',\n');
+    });
+    write('  ' + JSON.stringify(key) + ': [');
+    items.forEach((item, i) => write((i ? ',' : '') + '\n    ' + indent(JSON.stringify(item, null, 2), '    ')));
+    write(items.length ? '\n  ]\n}' : ']\n}');
+  }
+
+  // ---------- Export builders ----------
+  // "report.pdf (1.2 MB) <url>"
+  function formatAttachment(a, imageMap) {
+    const mapped = imageMap && imageMap[a.url];
+    const url = (mapped && mapped.dataUri) ? mapped.dataUri : a.url;
+    return a.filename + (a.size ? ' (' + a.size + ')' : '') + ' ' + url;
+  }
+
+  // Stable "emoji:count" text for a reaction
+  function formatReaction(r) {
+    return (r.emoji || '?') + ':' + (r.count || 0);
+  }
+
+  function buildEmbedCardHtml(e, imageMap) {
+    const src = (u) => allowedUrl((imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u, 'src');
+    const link = (url, inner) => isAllowedUrl(url, 'href') ? '<a href="' + escapeHtml(url) + '" target="_blank" rel="noopener">' + inner + '</a>' : inner;
+    let html = '<div class="embed-card"' + (e.color ? ' style="border-left-color:' + escapeHtml(e.color) + '"' : '') + '>';
+    if (e.thumbnail) html += '<img class="embed-thumbnail" src="' + escapeHtml(src(e.thumbnail)) + '" alt="">';
+    if (e.provider) html += '<div class="embed-provider">' + escapeHtml(e.provider) + '</div>';
+    if (e.author && e.author.name) {
+      html += '<div class="embed-author">' + (e.author.iconUrl ? '<img src="' + escapeHtml(src(e.author.iconUrl)) + '" alt="">' : '') + link(e.author.url, escapeHtml(e.author.name)) + '</div>';
+    }
+    if (e.title) html += '<div class="embed-title">' + link(e.url, escapeHtml(e.title)) + '</div>';
+    if (e.description) html += '<div class="embed-description">' + escapeHtml(e.description) + '</div>';
+    if (e.fields && e.fields.length) {
+      html += '<div class="embed-fields">' + e.fields.map(f => '<div class="embed-field' + (f.inline ? ' inline' : '') + '">' +
+        '<div class="embed-field-name">' + escapeHtml(f.name) + '</div><div class="embed-field-value">' + escapeHtml(f.value) + '</div></div>').join('') + '</div>';
+    }
+    if (e.image) html += '<img class="embed-image" src="' + escapeHtml(src(e.image)) + '" alt="">';
+    if (e.footer && e.footer.text) {
+      html += '<div class="embed-footer">' + (e.footer.iconUrl ? '<img src="' + escapeHtml(src(e.footer.iconUrl)) + '" alt="">' : '') + escapeHtml(e.footer.text) + '</div>';
+    }
+    return html + '</div>';
+  }
+
+  // ---------- Interactive HTML viewer ----------
+  // Runs inside the exported HTML file (serialized with toString), so it may only use the DOM of that page.
+  function htmlViewerScript() {
+    const messages = Array.from(document.querySelectorAll('.message'));
+    const bar = document.getElementById('viewer-bar');
+    const searchInput = document.getElementById('viewer-search');
+    const authorSelect = document.getElementById('viewer-author');
+    const fromInput = document.getElementById('viewer-from');
+    const toInput = document.getElementById('viewer-to');
+    const jumpInput = document.getElementById('viewer-jump');
+    const countEl = document.getElementById('viewer-count');
+    const themeBtn = document.getElementById('viewer-theme');
+    const styles = { light: document.getElementById('style-light'), dark: document.getElementById('style-dark') };
+
+    Array.from(new Set(messages.map(m => m.getAttribute('data-author')))).sort().forEach(a => {
+      const o = document.createElement('option');
+      o.value = a;
+      o.textContent = a;
+      authorSelect.appendChild(o);
+    });
+
+    function dayStart(value) {
+      const p = value.split('-').map(Number);
+      return new Date(p[0], p[1] - 1, p[2]).getTime();
+    }
+
+    function clearHighlights() {
+      document.querySelectorAll('mark.hit').forEach(mark => {
+        const parent = mark.parentNode;
+        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+        parent.normalize();
+      });
+    }
+
+    function highlight(root, needle) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+      let hits = 0;
+      nodes.forEach(node => {
+        const text = node.nodeValue;
+        const lower = text.toLowerCase();
+        let idx = lower.indexOf(needle);
+        if (idx === -1) return;
+        const frag = document.createDocumentFragment();
+        let last = 0;
+        while (idx !== -1) {
+          frag.appendChild(document.createTextNode(text.slice(last, idx)));
+          const mark = document.createElement('mark');
+          mark.className = 'hit';
+          mark.textContent = text.slice(idx, idx + needle.length);
+          frag.appendChild(mark);
+          hits++;
+          last = idx + needle.length;
+          idx = lower.indexOf(needle, last);
+        }
+        frag.appendChild(document.createTextNode(text.slice(last)));
+        node.parentNode.replaceChild(frag, node);
       });
+      return hits;
+    }
+
+    function apply() {
+      const needle = searchInput.value.trim().toLowerCase();
+      const author = authorSelect.value;
+      const from = fromInput.value ? dayStart(fromInput.value) : null;
+      const to = toInput.value ? dayStart(toInput.value) + 86400000 : null;
+      clearHighlights();
+      let shown = 0;
+      let hits = 0;
+      messages.forEach(m => {
+        const ts = Number(m.getAttribute('data-ts')) || 0;
+        let visible = (!author || m.getAttribute('data-author') === author) &&
+          (from === null || (ts && ts >= from)) && (to === null || (ts && ts < to));
+        if (visible && needle) {
+          const parts = m.querySelectorAll('.meta .author, .content, .embeds, .file-name, .reply');
+          const found = Array.from(parts).reduce((n, part) => n + highlight(part, needle), 0);
+          visible = found > 0;
+          hits += found;
+        }
+        m.style.display = visible ? '' : 'none';
+        if (visible) shown++;
+      });
+      countEl.textContent = shown + ' of ' + messages.length + ' messages' + (needle ? ' · ' + hits + ' match' + (hits === 1 ? '' : 'es') : '');
+    }
+
+    let timer = null;
+    function applySoon() {
+      clearTimeout(timer);
+      timer = setTimeout(apply, 200);
+    }
+
+    function jumpTo() {
+      if (!jumpInput.value) return;
+      const start = dayStart(jumpInput.value);
+      const visible = messages.filter(m => m.style.display !== 'none' && Number(m.getAttribute('data-ts')));
+      // Works for both sort orders: the visible message closest to the start of that day
+      let target = null;
+      let best = Infinity;
+      visible.forEach(m => {
+        const diff = Math.abs(Number(m.getAttribute('data-ts')) - start);
+        if (diff < best) { best = diff; target = m; }
+      });
+      if (!target) return;
+      target.scrollIntoView({ block: 'start' });
+      window.scrollBy(0, -bar.offsetHeight - 8);
+      target.classList.add('flash');
+      setTimeout(() => target.classList.remove('flash'), 1500);
+    }
+
+    function setTheme(theme) {
+      styles.light.media = theme === 'light' ? 'all' : 'not all';
+      styles.dark.media = theme === 'dark' ? 'all' : 'not all';
+      themeBtn.textContent = theme === 'dark' ? 'Light' : 'Dark';
+      try { localStorage.setItem('dte-viewer-theme', theme); } catch (e) { /* file:// storage may be blocked */ }
+    }
+
+    searchInput.addEventListener('input', applySoon);
+    authorSelect.addEventListener('change', apply);
+    fromInput.addEventListener('change', apply);
+    toInput.addEventListener('change', apply);
+    jumpInput.addEventListener('change', jumpTo);
+    themeBtn.addEventListener('click', () => setTheme(styles.dark.media === 'all' ? 'light' : 'dark'));
+
+    let savedTheme = null;
+    try { savedTheme = localStorage.getItem('dte-viewer-theme'); } catch (e) { savedTheme = null; }
+    setTheme(savedTheme === 'light' || savedTheme === 'dark' ? savedTheme : (styles.dark.media === 'all' ? 'dark' : 'light'));
+    apply();
+  }
+
+  function buildEmojiLegendHtml(inventory, imageMap) {
+    if (!inventory.length) return '';
+    const items = inventory.map(e => {
+      const src = (imageMap[e.url] && imageMap[e.url].dataUri) ? imageMap[e.url].dataUri : e.url;
+      const counts = e.uses + ' in messages' + (e.reactions ? ', ' + e.reactions + ' as reaction' : '');
+      return '<div class="emoji-legend-item" title="' + escapeHtml(counts) + '"><img class="emoji" src="' + escapeHtml(allowedUrl(src, 'src')) + '" alt=":' + escapeHtml(e.name) + ':">' +
+        '<span>:' + escapeHtml(e.name || e.id) + ':</span><span class="count">' + (e.uses + e.reactions) + '</span></div>';
+    }).join('');
+    return '  <details class="emoji-legend"><summary>Custom emoji (' + inventory.length + ')</summary><div class="emoji-legend-grid">' + items + '</div></details>\n';
+  }
+
+  // Assets that kept their remote URL (which may expire), with the reason
+  function buildMediaFailuresHtml(failures) {
+    if (!failures.length) return '';
+    const items = failures.map(f => '<li><a href="' + escapeHtml(allowedUrl(f.url, 'href')) + '" target="_blank" rel="noopener">' + escapeHtml(f.url) + '</a> - ' +
+      escapeHtml(f.reason) + (f.attempts > 1 ? ' after ' + f.attempts + ' attempts' : '') + '</li>').join('');
+    return '  <details class="media-failures"><summary>Media not embedded (' + failures.length + ')</summary><ul>' + items + '</ul></details>\n';
+  }
+
+  // Discord theme: spoilers stay hidden until clicked (also runs inside the exported file)
+  function spoilerRevealScript() {
+    document.addEventListener('click', (e) => {
+      const spoiler = e.target.closest('.content [class*="spoilerContent"], .content [class*="spoilerText"]');
+      if (spoiler && !spoiler.classList.contains('revealed')) {
+        spoiler.classList.add('revealed');
+        e.preventDefault();
+      }
+    });
+  }
+
+  function buildViewerBarHtml() {
+    return '<div id="viewer-bar" class="viewer-bar">\n' +
+      '  <input type="search" id="viewer-search" placeholder="Search messages...">\n' +
+      '  <select id="viewer-author"><option value="">All authors</option></select>\n' +
+      '  <label>From <input type="date" id="viewer-from"></label>\n' +
+      '  <label>To <input type="date" id="viewer-to"></label>\n' +
+      '  <label>Jump to <input type="date" id="viewer-jump"></label>\n' +
+      '  <button type="button" id="viewer-theme">Theme</button>\n' +
+      '  <span id="viewer-count" class="viewer-count"></span>\n' +
+      '</div>\n';
+  }
+
+  // volume: see describeVolumes (null for a single file). Stats and the emoji legend go into the first
+  // volume, the media failure list into the last.
+  function writeHtmlExport(write, title, threadUrl, messages, imageMap, theme = 'light', options = {}, stats = null, volume = null) {
+    // CSS: constrain content images and force emoji-like images small
+    // Added more aggressive emoji size constraints
+    const styleLight = '\n' +
+      'body { font-family: -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Helvetica Neue",Arial; background:#f6f8fa; color:#222; }\n' +
+      '.container { max-width:980px; margin:20px auto; background:#fff; padding:20px; border-radius:8px; box-shadow:0 8px 24px rgba(15,15,15,0.08); }\n' +
+      '.message { border-bottom:1px solid #eee; padding:14px 0; display:flex; gap:12px; align-items:flex-start; }\n' +
+      '.meta { font-size:13px; color:#555; margin-bottom:6px; }\n' +
+      '.author { font-weight:700; margin-right:8px; }\n' +
+      '.time { color:#888; font-size:12px; }\n' +
+      '.content { margin:6px 0; white-space:pre-wrap; word-break:break-word; }\n' +
+      '.content img { max-width:100%; max-height:480px; height:auto; vertical-align:middle; }\n' +
+      '.content img.emoji, .content img[src*="emoji"], .content img[src*="/assets/"], .content img[alt^=":"], .content img[alt$=":"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; vertical-align:middle; display:inline !important; }\n' +
+      '.attachments img.emoji { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n' +
+      '.attachments img:not(.emoji) { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
+      '.attachments video { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
+      '.attachments .file { display:flex; flex-wrap:wrap; align-items:center; gap:8px; margin-top:8px; padding:8px 12px; border:1px solid #e3e5e8; border-radius:6px; background:#f6f8fa; max-width:480px; text-decoration:none; color:inherit; word-break:normal; }\n' +
+      '.attachments .file-size { color:#888; font-size:12px; }\n' +
+      '.attachments audio { width:100%; }\n' +
+      '.avatar { width:36px; height:36px; border-radius:50%; flex-shrink:0; object-fit:cover; }\n' +
+      '.message-body { flex:1; min-width:0; }\n' +
+      '.embed-card { border-left:4px solid #d0d4da; background:#f2f3f5; border-radius:4px; padding:8px 12px; margin-top:8px; max-width:520px; overflow:hidden; font-size:14px; }\n' +
+      '.embed-provider { font-size:12px; color:#666; }\n' +
+      '.embed-author { font-size:13px; font-weight:600; margin-top:4px; display:flex; align-items:center; gap:6px; }\n' +
+      '.embed-author img, .embed-footer img { width:20px !important; height:20px !important; border-radius:50%; }\n' +
+      '.embed-title { font-weight:700; margin-top:4px; }\n' +
+      '.embed-description { margin-top:4px; white-space:pre-wrap; }\n' +
+      '.embed-fields { display:flex; flex-wrap:wrap; gap:8px; margin-top:6px; }\n' +
+      '.embed-field { flex:1 1 100%; }\n' +
+      '.embed-field.inline { flex:1 1 30%; }\n' +
+      '.embed-field-name { font-weight:700; font-size:13px; }\n' +
+      '.embed-field-value { white-space:pre-wrap; font-size:13px; }\n' +
+      '.embed-thumbnail { float:right; max-width:80px !important; max-height:80px !important; margin-left:12px; border-radius:4px; }\n' +
+      '.embed-image { display:block; max-width:100% !important; max-height:300px; margin-top:8px; border-radius:4px; }\n' +
+      '.embed-footer { font-size:12px; color:#666; margin-top:8px; display:flex; align-items:center; gap:6px; clear:both; }\n' +
+      '.content [data-mention-type] { background:rgba(88,101,242,0.15); color:#4752c4; border-radius:3px; padding:0 2px; font-weight:500; text-decoration:none; }\n' +
+      '.reply { font-size:12px; color:#666; margin-bottom:4px; padding-left:8px; border-left:2px solid #d0d4da; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }\n' +
+      '.reply .reply-author { font-weight:600; margin-right:6px; }\n' +
+      '.reactions { margin-top:6px; color:#555; font-size:13px; display:flex; flex-wrap:wrap; gap:4px; }\n' +
+      '.reaction { display:inline-flex; align-items:center; gap:4px; padding:2px 8px; border-radius:10px; background:#eef0f3; border:1px solid transparent; }\n' +
+      '.reaction.me { background:#e8eaff; border-color:#5865F2; }\n' +
+      '.reaction img { width:16px !important; height:16px !important; vertical-align:middle; }\n' +
+      '.stats { margin:0 0 16px 0; padding:12px 16px; border:1px solid #e3e5e8; border-radius:8px; font-size:13px; }\n' +
+      '.stats summary { font-weight:700; cursor:pointer; }\n' +
+      '.stats-grid { display:flex; flex-wrap:wrap; gap:8px 20px; margin:10px 0; }\n' +
+      '.stats-hours { display:flex; align-items:flex-end; gap:2px; height:60px; margin:8px 0 16px 0; }\n' +
+      '.stats-hour { flex:1; height:100%; display:flex; flex-direction:column; justify-content:flex-end; align-items:center; font-size:9px; color:#888; }\n' +
+      '.stats-hour div { width:100%; background:#5865F2; border-radius:2px 2px 0 0; min-height:1px; }\n' +
+      '.stats-authors { border-collapse:collapse; width:100%; }\n' +
+      '.stats-authors th, .stats-authors td { text-align:left; padding:4px 8px; border-bottom:1px solid #eee; }\n' +
+      '.viewer-bar { position:sticky; top:0; z-index:10; display:flex; flex-wrap:wrap; gap:8px; align-items:center; padding:10px 0; margin-bottom:8px; background:#fff; border-bottom:1px solid #eee; font-size:13px; }\n' +
+      '.viewer-bar input[type="search"] { flex:1; min-width:180px; padding:6px; }\n' +
+      '.viewer-count { color:#888; margin-left:auto; }\n' +
+      'mark.hit { background:#fde68a; color:inherit; border-radius:2px; }\n' +
+      '.message.flash { background:#fff7d6; }\n' +
+      '.hover-time { display:none; }\n' +
+      '.edited { font-size:11px; color:#888; margin-left:4px; }\n' +
+      '.pinned-badge { font-size:11px; color:#b45309; margin-left:8px; }\n' +
+      '.message.pinned { background:#fffbeb; }\n' +
+      '.message.system { padding:8px 0; }\n' +
+      '.message.system .meta { display:inline-flex; gap:8px; margin:0 8px 0 0; }\n' +
+      '.message.system .content { display:inline; color:#555; font-style:italic; margin:0; }\n' +
+      '.system-icon { color:#3ba55c; font-weight:700; }\n' +
+      '.bot-tag { background:#5865F2; color:#fff; font-size:10px; font-weight:600; border-radius:3px; padding:1px 4px; margin-right:8px; vertical-align:1px; }\n' +
+      '.stickers { margin-top:8px; }\n' +
+      '.sticker { width:160px; height:160px; object-fit:contain; display:inline-block; }\n' +
+      '.sticker-missing { width:auto; height:auto; padding:6px 10px; border:1px dashed #ccc; border-radius:6px; font-size:12px; color:#666; }\n' +
+      '.emoji-legend, .media-failures { margin:0 0 16px 0; padding:12px 16px; border:1px solid #e3e5e8; border-radius:8px; font-size:13px; }\n' +
+      '.emoji-legend summary, .media-failures summary { font-weight:700; cursor:pointer; }\n' +
+      '.emoji-legend-grid { display:flex; flex-wrap:wrap; gap:6px 16px; margin-top:10px; }\n' +
+      '.emoji-legend-item { display:inline-flex; align-items:center; gap:6px; }\n' +
+      '.emoji-legend-item img { width:22px !important; height:22px !important; }\n' +
+      '.emoji-legend-item .count { color:#888; }\n' +
+      '.volume-nav { display:flex; justify-content:space-between; align-items:center; gap:12px; margin:0 0 16px 0; font-size:14px; }\n' +
+      'a { color:#3b82f6; word-break:break-all; }\n' +
+      'img[src*="clan-badges"], img[src*="twemoji"], img[src*="/emojis/"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n';
+
+    const styleDark = '\n' +
+      'body { font-family: -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,"Helvetica Neue",Arial; background:#0f1720; color:#e6eef8; }\n' +
+      '.container { max-width:980px; margin:20px auto; background:#0b1220; padding:20px; border-radius:8px; box-shadow:0 8px 24px rgba(0,0,0,0.5); }\n' +
+      '.message { border-bottom:1px solid rgba(255,255,255,0.04); padding:14px 0; display:flex; gap:12px; align-items:flex-start; }\n' +
+      '.meta { font-size:13px; color:#9fb0d8; margin-bottom:6px; }\n' +
+      '.author { font-weight:700; margin-right:8px; color:#fff; }\n' +
+      '.time { color:#8aa; font-size:12px; }\n' +
+      '.content { margin:6px 0; white-space:pre-wrap; word-break:break-word; }\n' +
+      '.content img { max-width:100%; max-height:480px; height:auto; vertical-align:middle; }\n' +
+      '.content img.emoji, .content img[src*="emoji"], .content img[src*="/assets/"], .content img[alt^=":"], .content img[alt$=":"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; vertical-align:middle; display:inline !important; }\n' +
+      '.attachments img.emoji { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n' +
+      '.attachments img:not(.emoji) { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
+      '.attachments video { max-width:100%; height:auto; display:block; margin-top:8px; border-radius:6px; }\n' +
+      '.attachments .file { display:flex; flex-wrap:wrap; align-items:center; gap:8px; margin-top:8px; padding:8px 12px; border:1px solid rgba(255,255,255,0.08); border-radius:6px; background:rgba(255,255,255,0.04); max-width:480px; text-decoration:none; color:inherit; word-break:normal; }\n' +
+      '.attachments .file-size { color:#8aa; font-size:12px; }\n' +
+      '.attachments audio { width:100%; }\n' +
+      '.avatar { width:36px; height:36px; border-radius:50%; flex-shrink:0; object-fit:cover; }\n' +
+      '.message-body { flex:1; min-width:0; }\n' +
+      '.embed-card { border-left:4px solid rgba(255,255,255,0.15); background:rgba(255,255,255,0.04); border-radius:4px; padding:8px 12px; margin-top:8px; max-width:520px; overflow:hidden; font-size:14px; }\n' +
+      '.embed-provider { font-size:12px; color:#9fb0d8; }\n' +
+      '.embed-author { font-size:13px; font-weight:600; margin-top:4px; display:flex; align-items:center; gap:6px; }\n' +
+      '.embed-author img, .embed-footer img { width:20px !important; height:20px !important; border-radius:50%; }\n' +
+      '.embed-title { font-weight:700; margin-top:4px; }\n' +
+      '.embed-description { margin-top:4px; white-space:pre-wrap; }\n' +
+      '.embed-fields { display:flex; flex-wrap:wrap; gap:8px; margin-top:6px; }\n' +
+      '.embed-field { flex:1 1 100%; }\n' +
+      '.embed-field.inline { flex:1 1 30%; }\n' +
+      '.embed-field-name { font-weight:700; font-size:13px; }\n' +
+      '.embed-field-value { white-space:pre-wrap; font-size:13px; }\n' +
+      '.embed-thumbnail { float:right; max-width:80px !important; max-height:80px !important; margin-left:12px; border-radius:4px; }\n' +
+      '.embed-image { display:block; max-width:100% !important; max-height:300px; margin-top:8px; border-radius:4px; }\n' +
+      '.embed-footer { font-size:12px; color:#9fb0d8; margin-top:8px; display:flex; align-items:center; gap:6px; clear:both; }\n' +
+      '.content [data-mention-type] { background:rgba(88,101,242,0.3); color:#c9cdfb; border-radius:3px; padding:0 2px; font-weight:500; text-decoration:none; }\n' +
+      '.reply { font-size:12px; color:#8aa; margin-bottom:4px; padding-left:8px; border-left:2px solid rgba(255,255,255,0.15); white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }\n' +
+      '.reply .reply-author { font-weight:600; margin-right:6px; }\n' +
+      '.reactions { margin-top:6px; color:#9fb0d8; font-size:13px; display:flex; flex-wrap:wrap; gap:4px; }\n' +
+      '.reaction { display:inline-flex; align-items:center; gap:4px; padding:2px 8px; border-radius:10px; background:rgba(255,255,255,0.06); border:1px solid transparent; }\n' +
+      '.reaction.me { background:rgba(88,101,242,0.18); border-color:#5865F2; }\n' +
+      '.reaction img { width:16px !important; height:16px !important; vertical-align:middle; }\n' +
+      '.stats { margin:0 0 16px 0; padding:12px 16px; border:1px solid rgba(255,255,255,0.08); border-radius:8px; font-size:13px; }\n' +
+      '.stats summary { font-weight:700; cursor:pointer; }\n' +
+      '.stats-grid { display:flex; flex-wrap:wrap; gap:8px 20px; margin:10px 0; }\n' +
+      '.stats-hours { display:flex; align-items:flex-end; gap:2px; height:60px; margin:8px 0 16px 0; }\n' +
+      '.stats-hour { flex:1; height:100%; display:flex; flex-direction:column; justify-content:flex-end; align-items:center; font-size:9px; color:#8aa; }\n' +
+      '.stats-hour div { width:100%; background:#5865F2; border-radius:2px 2px 0 0; min-height:1px; }\n' +
+      '.stats-authors { border-collapse:collapse; width:100%; }\n' +
+      '.stats-authors th, .stats-authors td { text-align:left; padding:4px 8px; border-bottom:1px solid rgba(255,255,255,0.06); }\n' +
+      '.viewer-bar { position:sticky; top:0; z-index:10; display:flex; flex-wrap:wrap; gap:8px; align-items:center; padding:10px 0; margin-bottom:8px; background:#0b1220; border-bottom:1px solid rgba(255,255,255,0.08); font-size:13px; }\n' +
+      '.viewer-bar input[type="search"] { flex:1; min-width:180px; padding:6px; }\n' +
+      '.viewer-count { color:#8aa; margin-left:auto; }\n' +
+      'mark.hit { background:#a16207; color:#fff; border-radius:2px; }\n' +
+      '.message.flash { background:rgba(250,204,21,0.12); }\n' +
+      '.hover-time { display:none; }\n' +
+      '.edited { font-size:11px; color:#8aa; margin-left:4px; }\n' +
+      '.pinned-badge { font-size:11px; color:#fbbf24; margin-left:8px; }\n' +
+      '.message.pinned { background:rgba(251,191,36,0.06); }\n' +
+      '.message.system { padding:8px 0; }\n' +
+      '.message.system .meta { display:inline-flex; gap:8px; margin:0 8px 0 0; }\n' +
+      '.message.system .content { display:inline; color:#9fb0d8; font-style:italic; margin:0; }\n' +
+      '.system-icon { color:#3ba55c; font-weight:700; }\n' +
+      '.bot-tag { background:#5865F2; color:#fff; font-size:10px; font-weight:600; border-radius:3px; padding:1px 4px; margin-right:8px; vertical-align:1px; }\n' +
+      '.stickers { margin-top:8px; }\n' +
+      '.sticker { width:160px; height:160px; object-fit:contain; display:inline-block; }\n' +
+      '.sticker-missing { width:auto; height:auto; padding:6px 10px; border:1px dashed rgba(255,255,255,0.2); border-radius:6px; font-size:12px; color:#8aa; }\n' +
+      '.emoji-legend, .media-failures { margin:0 0 16px 0; padding:12px 16px; border:1px solid rgba(255,255,255,0.08); border-radius:8px; font-size:13px; }\n' +
+      '.emoji-legend summary, .media-failures summary { font-weight:700; cursor:pointer; }\n' +
+      '.emoji-legend-grid { display:flex; flex-wrap:wrap; gap:6px 16px; margin-top:10px; }\n' +
+      '.emoji-legend-item { display:inline-flex; align-items:center; gap:6px; }\n' +
+      '.emoji-legend-item img { width:22px !important; height:22px !important; }\n' +
+      '.emoji-legend-item .count { color:#8aa; }\n' +
+      '.volume-nav { display:flex; justify-content:space-between; align-items:center; gap:12px; margin:0 0 16px 0; font-size:14px; }\n' +
+      'a { color:#60a5fa; word-break:break-all; }\n' +
+      'img[src*="clan-badges"], img[src*="twemoji"], img[src*="/emojis/"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n';
+
+    // Discord client look: dark palette, grouped messages, spoilers, code blocks and quote bars
+    const styleDiscord = '\n' +
+      'body { font-family: "gg sans","Noto Sans","Helvetica Neue",Helvetica,Arial,sans-serif; background:#313338; color:#dbdee1; margin:0; font-size:16px; line-height:1.375; }\n' +
+      '.container { max-width:1100px; margin:0 auto; padding:16px 0; }\n' +
+      '.container > h2, .container > p { padding:0 16px; color:#f2f3f5; }\n' +
+      '.message { position:relative; display:flex; gap:16px; align-items:flex-start; padding:2px 48px 2px 16px; margin-top:17px; }\n' +
+      '.message.grouped { margin-top:0; }\n' +
+      '.message:hover { background:#2e3035; }\n' +
+      '.message.grouped .avatar, .message.grouped .meta { display:none; }\n' +
+      '.message.grouped .message-body { margin-left:56px; }\n' +
+      '.hover-time { display:none; position:absolute; left:16px; width:40px; text-align:right; top:5px; font-size:11px; color:#949ba4; }\n' +
+      '.message.grouped:hover .hover-time { display:block; }\n' +
+      '.meta { display:flex; align-items:baseline; gap:8px; }\n' +
+      '.author { font-weight:500; color:#f2f3f5; }\n' +
+      '.time { color:#949ba4; font-size:12px; }\n' +
+      '.content { white-space:pre-wrap; word-break:break-word; }\n' +
+      '.content img { max-width:100%; max-height:480px; height:auto; vertical-align:middle; }\n' +
+      '.content img.emoji, .content img[src*="emoji"], .content img[src*="/assets/"], .content img[alt^=":"], .content img[alt$=":"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; vertical-align:middle; display:inline !important; }\n' +
+      '.content code { background:#2b2d31; border:1px solid #1e1f22; border-radius:4px; padding:0 3px; font-size:85%; font-family:Consolas,"Andale Mono WT","Andale Mono","Lucida Console",Monaco,"Courier New",monospace; }\n' +
+      '.content pre { background:#2b2d31; border:1px solid #1e1f22; border-radius:4px; padding:8px; margin:6px 0 0 0; max-width:90%; overflow-x:auto; white-space:pre; }\n' +
+      '.content pre code { background:none; border:none; padding:0; font-size:14px; }\n' +
+      '.content blockquote { margin:0; padding:0 8px 0 12px; border-left:4px solid #4e5058; border-radius:4px; }\n' +
+      '.content [class*="blockquoteDivider"] { display:none; }\n' +
+      '.content [class*="blockquoteContainer"] { display:flex; }\n' +
+      '.content [class*="spoilerContent"], .content [class*="spoilerText"] { background:#1e1f22; border-radius:3px; cursor:pointer; color:transparent; }\n' +
+      '.content [class*="spoilerContent"] *, .content [class*="spoilerText"] * { visibility:hidden; }\n' +
+      '.content .revealed, .content .revealed * { background:rgba(255,255,255,0.1); color:inherit; visibility:visible; cursor:auto; }\n' +
+      '.attachments img.emoji { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n' +
+      '.attachments img:not(.emoji) { max-width:400px; max-height:300px; height:auto; display:block; margin-top:8px; border-radius:8px; }\n' +
+      '.attachments video { max-width:400px; height:auto; display:block; margin-top:8px; border-radius:8px; }\n' +
+      '.attachments .file { display:flex; flex-wrap:wrap; align-items:center; gap:8px; margin-top:8px; padding:10px 12px; border:1px solid #26272b; border-radius:8px; background:#2b2d31; max-width:432px; text-decoration:none; color:#00a8fc; word-break:normal; }\n' +
+      '.attachments .file-size { color:#949ba4; font-size:12px; }\n' +
+      '.attachments audio { width:100%; }\n' +
+      '.avatar { width:40px; height:40px; border-radius:50%; flex-shrink:0; object-fit:cover; margin-top:2px; }\n' +
+      '.message-body { flex:1; min-width:0; }\n' +
+      '.embed-card { border-left:4px solid #1e1f22; background:#2b2d31; border-radius:4px; padding:8px 16px 16px 12px; margin-top:8px; max-width:432px; overflow:hidden; font-size:14px; }\n' +
+      '.embed-provider { font-size:12px; color:#b5bac1; margin-top:8px; }\n' +
+      '.embed-author { font-size:14px; font-weight:600; margin-top:8px; display:flex; align-items:center; gap:8px; color:#f2f3f5; }\n' +
+      '.embed-author img, .embed-footer img { width:24px !important; height:24px !important; border-radius:50%; }\n' +
+      '.embed-title { font-weight:600; margin-top:8px; color:#00a8fc; }\n' +
+      '.embed-description { margin-top:8px; white-space:pre-wrap; }\n' +
+      '.embed-fields { display:flex; flex-wrap:wrap; gap:8px; margin-top:8px; }\n' +
+      '.embed-field { flex:1 1 100%; }\n' +
+      '.embed-field.inline { flex:1 1 30%; }\n' +
+      '.embed-field-name { font-weight:600; font-size:14px; color:#f2f3f5; }\n' +
+      '.embed-field-value { white-space:pre-wrap; font-size:14px; }\n' +
+      '.embed-thumbnail { float:right; max-width:80px !important; max-height:80px !important; margin-left:16px; border-radius:4px; }\n' +
+      '.embed-image { display:block; max-width:100% !important; max-height:300px; margin-top:16px; border-radius:4px; }\n' +
+      '.embed-footer { font-size:12px; color:#b5bac1; margin-top:8px; display:flex; align-items:center; gap:8px; clear:both; }\n' +
+      '.content [data-mention-type] { background:rgba(88,101,242,0.3); color:#c9cdfb; border-radius:3px; padding:0 2px; font-weight:500; text-decoration:none; }\n' +
+      '.reply { font-size:14px; color:#b5bac1; margin:0 0 4px 0; padding-left:20px; position:relative; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }\n' +
+      '.reply::before { content:""; position:absolute; left:2px; top:50%; width:14px; height:8px; border-left:2px solid #4e5058; border-top:2px solid #4e5058; border-top-left-radius:6px; }\n' +
+      '.reply .reply-author { font-weight:500; margin-right:6px; color:#f2f3f5; }\n' +
+      '.reactions { margin-top:4px; font-size:14px; display:flex; flex-wrap:wrap; gap:4px; }\n' +
+      '.reaction { display:inline-flex; align-items:center; gap:6px; padding:2px 6px; border-radius:8px; background:#2b2d31; border:1px solid transparent; color:#b5bac1; }\n' +
+      '.reaction.me { background:rgba(88,101,242,0.15); border-color:#5865F2; color:#dee0fc; }\n' +
+      '.reaction img { width:16px !important; height:16px !important; vertical-align:middle; }\n' +
+      '.stats { margin:0 16px 16px 16px; padding:12px 16px; background:#2b2d31; border-radius:8px; font-size:13px; }\n' +
+      '.stats summary { font-weight:700; cursor:pointer; }\n' +
+      '.stats-grid { display:flex; flex-wrap:wrap; gap:8px 20px; margin:10px 0; }\n' +
+      '.stats-hours { display:flex; align-items:flex-end; gap:2px; height:60px; margin:8px 0 16px 0; }\n' +
+      '.stats-hour { flex:1; height:100%; display:flex; flex-direction:column; justify-content:flex-end; align-items:center; font-size:9px; color:#949ba4; }\n' +
+      '.stats-hour div { width:100%; background:#5865F2; border-radius:2px 2px 0 0; min-height:1px; }\n' +
+      '.stats-authors { border-collapse:collapse; width:100%; }\n' +
+      '.stats-authors th, .stats-authors td { text-align:left; padding:4px 8px; border-bottom:1px solid #3f4147; }\n' +
+      '.viewer-bar { position:sticky; top:0; z-index:10; display:flex; flex-wrap:wrap; gap:8px; align-items:center; padding:10px 16px; margin-bottom:8px; background:#313338; border-bottom:1px solid #1e1f22; font-size:13px; }\n' +
+      '.viewer-bar input[type="search"] { flex:1; min-width:180px; padding:6px; }\n' +
+      '.viewer-count { color:#949ba4; margin-left:auto; }\n' +
+      'mark.hit { background:#a16207; color:#fff; border-radius:2px; }\n' +
+      '.message.flash { background:rgba(250,204,21,0.12); }\n' +
+      '.edited { font-size:10px; color:#949ba4; margin-left:4px; }\n' +
+      '.pinned-badge { font-size:11px; color:#f0b232; margin-left:4px; }\n' +
+      '.message.pinned { background:rgba(240,178,50,0.05); }\n' +
+      '.message.system { padding-left:72px; color:#949ba4; }\n' +
+      '.message.system .meta { display:inline-flex; flex-direction:row-reverse; gap:8px; margin-right:6px; }\n' +
+      '.message.system .content { display:inline; }\n' +
+      '.system-icon { position:absolute; left:28px; color:#23a55a; font-weight:700; }\n' +
+      '.bot-tag { background:#5865F2; color:#fff; font-size:10px; font-weight:600; border-radius:3px; padding:1px 4px; margin-right:8px; vertical-align:1px; }\n' +
+      '.stickers { margin-top:4px; }\n' +
+      '.sticker { width:160px; height:160px; object-fit:contain; display:inline-block; }\n' +
+      '.sticker-missing { width:auto; height:auto; padding:6px 10px; border:1px dashed #4e5058; border-radius:8px; font-size:12px; color:#949ba4; }\n' +
+      '.emoji-legend, .media-failures { margin:0 16px 16px 16px; padding:12px 16px; background:#2b2d31; border-radius:8px; font-size:13px; }\n' +
+      '.emoji-legend summary, .media-failures summary { font-weight:700; cursor:pointer; }\n' +
+      '.emoji-legend-grid { display:flex; flex-wrap:wrap; gap:6px 16px; margin-top:10px; }\n' +
+      '.emoji-legend-item { display:inline-flex; align-items:center; gap:6px; }\n' +
+      '.emoji-legend-item img { width:22px !important; height:22px !important; }\n' +
+      '.emoji-legend-item .count { color:#949ba4; }\n' +
+      '.volume-nav { display:flex; justify-content:space-between; align-items:center; gap:12px; margin:0 0 16px 0; font-size:14px; }\n' +
+      'a { color:#00a8fc; text-decoration:none; word-break:break-all; }\n' +
+      'a:hover { text-decoration:underline; }\n' +
+      'img[src*="clan-badges"], img[src*="twemoji"], img[src*="/emojis/"] { max-width:22px !important; max-height:22px !important; width:22px !important; height:22px !important; }\n';
+
+    // Reply headers only link to messages that are part of this export
+    const exportedIds = new Set(messages.map(m => m.messageId).filter(Boolean));
+    const discordTheme = theme === 'discord';
+    const ascending = options.sort !== 'descending';
+
+    const renderRow = (m, i) => {
+      // Point media inside content at embedded data URIs / media/ files when available
+      const content = inlineMediaUrls(m.contentHtml || '', imageMap);
 
       // Build attachments HTML; mark emoji-like attachments with class="emoji"
       let attachmentsHtml = '';
@@ -1248,81 +3978,207 @@ Changelog v1.3.0:
         const mapped = imageMap[url];
         const src = (mapped && mapped.dataUri) ? mapped.dataUri : url;
         const emojiCls = isEmojiUrl(url) ? 'emoji' : '';
-        attachmentsHtml += '<img class="' + emojiCls + '" src="' + escapeHtml(src) + '" alt="' + escapeHtml(url) + '">';
+        attachmentsHtml += '<img class="' + emojiCls + '" src="' + escapeHtml(allowedUrl(src, 'src')) + '" alt="' + escapeHtml(url) + '">';
       });
       (m.videoUrls || []).forEach(url => {
         const mapped = imageMap[url];
         const src = (mapped && mapped.dataUri) ? mapped.dataUri : url;
-        attachmentsHtml += '<video controls src="' + escapeHtml(src) + '"></video>';
+        attachmentsHtml += '<video controls src="' + escapeHtml(allowedUrl(src, 'src')) + '"></video>';
+      });
+      // Images and videos render above; audio gets a player, other files a download card
+      (m.attachments || []).forEach(a => {
+        if (a.kind !== 'audio' && a.kind !== 'file') return;
+        const mapped = imageMap[a.url];
+        const src = (mapped && mapped.dataUri) ? mapped.dataUri : a.url;
+        const label = '<span class="file-name">' + escapeHtml(a.filename) + '</span>' + (a.size ? '<span class="file-size">' + escapeHtml(a.size) + '</span>' : '');
+        if (a.kind === 'audio') {
+          attachmentsHtml += '<div class="file audio">' + label + '<audio controls src="' + escapeHtml(allowedUrl(src, 'src')) + '"></audio></div>';
+        } else {
+          attachmentsHtml += '<a class="file" href="' + escapeHtml(allowedUrl(src, 'href')) + '" download="' + escapeHtml(a.filename) + '" target="_blank" rel="noopener">📄 ' + label + '</a>';
+        }
       });
 
-      const reactionsHtml = (m.reactions && m.reactions.length) ? '<div class="reactions">' + escapeHtml(m.reactions.join(' . ')) + '</div>' : '';
-      const embedHtml = (m.embeds && m.embeds.length) ? '<div class="embeds">' + m.embeds.map(e => '<div class="embed">' + escapeHtml(e.text || '') + (e.html || '') + '</div>').join('') + '</div>' : '';
-
-      const avatarSrc = (m.avatar && imageMap[m.avatar] && imageMap[m.avatar].dataUri) ? imageMap[m.avatar].dataUri : (m.avatar || '');
+      const stickersHtml = (m.stickers && m.stickers.length) ? '<div class="stickers">' + m.stickers.map(s => {
+        const mapped = s.url ? imageMap[s.url] : null;
+        const src = (mapped && mapped.dataUri) ? mapped.dataUri : s.url;
+        return (src && s.format !== 'json')
+          ? '<img class="sticker" src="' + escapeHtml(allowedUrl(src, 'src')) + '" alt="' + escapeHtml(s.name) + '" title="' + escapeHtml(s.name) + '">'
+          : '<span class="sticker sticker-missing" title="Animated sticker">' + escapeHtml(s.name || 'Sticker') + '</span>';
+      }).join('') + '</div>' : '';
+
+      const reactionsHtml = (m.reactions && m.reactions.length) ? '<div class="reactions">' + m.reactions.map(r => {
+        const mapped = r.emojiUrl ? imageMap[r.emojiUrl] : null;
+        const src = (mapped && mapped.dataUri) ? mapped.dataUri : r.emojiUrl;
+        const emojiHtml = src ? '<img class="emoji" src="' + escapeHtml(allowedUrl(src, 'src')) + '" alt="' + escapeHtml(r.emoji) + '" title="' + escapeHtml(r.emoji) + '">' : escapeHtml(r.emoji);
+        return '<span class="reaction' + (r.me ? ' me' : '') + '">' + emojiHtml + '<span class="count">' + r.count + '</span></span>';
+      }).join('') + '</div>' : '';
+      const embedHtml = (m.embeds && m.embeds.length) ? '<div class="embeds">' + m.embeds.map(e => buildEmbedCardHtml(e, imageMap)).join('') + '</div>' : '';
+
+      const avatarSrc = allowedUrl((m.avatar && imageMap[m.avatar] && imageMap[m.avatar].dataUri) ? imageMap[m.avatar].dataUri : (m.avatar || ''), 'src');
       const avatarImg = avatarSrc ? '<img class="avatar" src="' + escapeHtml(avatarSrc) + '" />' : (options.includeAvatars ? '' : '');
 
       const authorEsc = escapeHtml(m.author || 'Unknown');
       const timeEsc = escapeHtml(m.timestamp || '');
 
+      // Group under the previous header like the client does: same author and the later
+      // message of the pair was a continuation (no header) in Discord
+      const prev = i > 0 ? messages[i - 1] : null;
+      const grouped = !!(discordTheme && prev && prev.author === m.author && (ascending ? m : prev).isContinuation);
+      const ts = parseTimestampToNumber(m.timestamp);
+      const hoverTime = ts ? new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+      const authorStyle = (discordTheme && m.roleColor) ? ' style="color:' + escapeHtml(m.roleColor) + '"' : '';
+      const system = isSystemMessageType(m.type);
+      const editedHtml = m.edited ? '<span class="edited"' + (m.editedAt ? ' title="Edited ' + escapeHtml(m.editedAt) + '"' : '') + '>(edited)</span>' : '';
+      const pinnedHtml = m.pinned ? '<span class="pinned-badge" title="Pinned message">📌 Pinned</span>' : '';
+      // System notices: the text already names the user, so no author/avatar header
+      const metaHtml = system
+        ? '<div class="meta"><span class="system-icon">→</span><span class="time">' + timeEsc + '</span></div>'
+        : '<div class="meta"><span class="author"' + authorStyle + (m.authorId || m.username ? ' title="' + escapeHtml([m.username ? '@' + m.username : '', m.authorId].filter(Boolean).join(' · ')) + '"' : '') + '>' + authorEsc + '</span>' +
+          (m.bot ? '<span class="bot-tag">' + escapeHtml(m.botTag || 'BOT') + '</span>' : '') + '<span class="time">' + timeEsc + '</span>' + pinnedHtml + '</div>';
+
+      let replyHtml = '';
+      if (m.replyTo) {
+        const replyAuthor = '<span class="reply-author">↪ @' + escapeHtml(m.replyTo.author || 'Unknown') + '</span>';
+        const replyText = escapeHtml(m.replyTo.snippet || (m.replyTo.messageId ? '' : 'Original message was deleted'));
+        // Same file, another volume of this export, or not exported
+        const replyFile = exportedIds.has(m.replyTo.messageId) ? '' : (volume && volume.fileOf.get(m.replyTo.messageId));
+        replyHtml = (exportedIds.has(m.replyTo.messageId) || replyFile)
+          ? '<div class="reply"><a href="' + escapeHtml(replyFile || '') + '#msg-' + escapeHtml(m.replyTo.messageId) + '">' + replyAuthor + '</a>' + replyText + '</div>'
+          : '<div class="reply">' + replyAuthor + replyText + '</div>';
+      }
+
       return '\n' +
-        '        <div class="message" data-message-id="' + escapeHtml(m.messageId || '') + '">\n' +
-        '          ' + (options.includeAvatars ? avatarImg : '') + '\n' +
+        '        <div class="message' + (grouped ? ' grouped' : '') + (system ? ' system type-' + escapeHtml(m.type) : '') + (m.pinned ? ' pinned' : '') + '"' + (m.messageId ? ' id="msg-' + escapeHtml(m.messageId) + '"' : '') + ' data-message-id="' + escapeHtml(m.messageId || '') + '"' +
+        (m.authorId ? ' data-author-id="' + escapeHtml(m.authorId) + '"' : '') +
+        (options.interactiveHtml ? ' data-author="' + authorEsc + '" data-ts="' + (ts || '') + '"' : '') + '>\n' +
+        (discordTheme ? '          <span class="hover-time" title="' + timeEsc + '">' + escapeHtml(hoverTime) + '</span>\n' : '') +
+        '          ' + (options.includeAvatars && !system ? avatarImg : '') + '\n' +
         '          <div class="message-body">\n' +
-        '            <div class="meta"><span class="author">' + authorEsc + '</span><span class="time">' + timeEsc + '</span></div>\n' +
-        '            <div class="content">' + content + '</div>\n' +
+        '            ' + replyHtml + '\n' +
+        '            ' + metaHtml + '\n' +
+        '            <div class="content">' + content + editedHtml + '</div>\n' +
         '            <div class="attachments">' + attachmentsHtml + '</div>\n' +
+        (stickersHtml ? '            ' + stickersHtml + '\n' : '') +
         '            ' + embedHtml + '\n' +
         '            ' + reactionsHtml + '\n' +
         '          </div>\n' +
         '        </div>\n' +
         '      ';
-    }).join('\n');
+    };
 
-    const html = '<!doctype html>\n' +
+    const mainStyle = theme === 'dark' ? styleDark : (discordTheme ? styleDiscord : styleLight);
+    const scriptNonce = (options.interactiveHtml || discordTheme) ? createCspNonce() : '';
+    const nonceAttr = scriptNonce ? ' nonce="' + scriptNonce + '"' : '';
+    const firstVolume = !volume || volume.index === 1;
+    const lastVolume = !volume || volume.index === volume.count;
+    const volumeTitle = title + (volume ? ' (' + volume.index + '/' + volume.count + ')' : '');
+    const navHtml = volume ? buildVolumeNavHtml(volume) : '';
+    write('<!doctype html>\n' +
       '<html>\n' +
       '<head>\n' +
       '<meta charset="utf-8">\n' +
-      '<title>' + escapeHtml(title) + '</title>\n' +
+      buildCspMeta(scriptNonce) +
+      '<title>' + escapeHtml(volumeTitle) + '</title>\n' +
       '<meta name="viewport" content="width=device-width,initial-scale=1">\n' +
-      '<style>' + (theme === 'dark' ? styleDark : styleLight) + '</style>\n' +
+      (options.interactiveHtml
+        // Both themes ship with the viewer; it switches them by toggling media (Discord is the dark side of its toggle)
+        ? '<style id="style-light" media="' + (theme === 'light' ? 'all' : 'not all') + '">' + styleLight + '</style>\n' +
+          '<style id="style-dark" media="' + (theme === 'light' ? 'not all' : 'all') + '">' + (discordTheme ? styleDiscord : styleDark) + '</style>\n'
+        : '<style>' + mainStyle + '</style>\n') +
       '</head>\n' +
       '<body>\n' +
       '<div class="container">\n' +
-      '  <h2>' + escapeHtml(title) + '</h2>\n' +
+      '  <h2>' + escapeHtml(volumeTitle) + '</h2>\n' +
       '  <p><a href="' + escapeHtml(threadUrl) + '" target="_blank" rel="noopener">Open in Discord</a></p>\n' +
-      '  ' + rows + '\n' +
+      navHtml +
+      (stats && firstVolume ? '  ' + buildStatsHtml(stats) + '\n' : '') +
+      (options.emojiLegend && firstVolume ? buildEmojiLegendHtml(buildEmojiInventory(volume ? volume.allMessages : messages), imageMap) : '') +
+      (options.interactiveHtml ? buildViewerBarHtml() : '') +
+      '  ');
+    // Rows are written one by one - with embedded media each can be megabytes
+    messages.forEach((m, i) => write((i ? '\n' : '') + renderRow(m, i)));
+    write('\n' +
+      (lastVolume ? buildMediaFailuresHtml(collectMediaFailures(imageMap)) : '') +
+      navHtml +
       '</div>\n' +
+      (options.interactiveHtml ? '<script' + nonceAttr + '>\n(' + htmlViewerScript.toString() + ')();\n</script>\n' : '') +
+      (discordTheme ? '<script' + nonceAttr + '>\n(' + spoilerRevealScript.toString() + ')();\n</script>\n' : '') +
       '</body>\n' +
-      '</html>';
-    return html;
+      '</html>');
+  }
+
+  function buildVolumeNavHtml(volume) {
+    const link = (file, text) => file ? '<a href="' + escapeHtml(file) + '">' + text + '</a>' : '<span></span>';
+    return '  <nav class="volume-nav">' + link(volume.previous, '← Previous volume') + '<span>Volume ' + volume.index + ' of ' + volume.count + '</span>' +
+      link(volume.next, 'Next volume →') + '</nav>\n';
   }
 
-  function buildJsonExport(threadUrl, messages, imageMap, embedMedia) {
+  // volume: see describeVolumes; stats and emojis (whole export) go into the first volume, media failures into the last
+  function writeJsonExport(write, threadUrl, messages, imageMap, embedMedia, previousExport, sort, includeStats, volume = null) {
+    const firstVolume = !volume || volume.index === 1;
+    const mediaFailures = (!volume || volume.index === volume.count) ? collectMediaFailures(imageMap) : [];
     const out = messages.map(m => ({
       messageId: m.messageId,
+      type: m.type || 'default',
       author: m.author,
+      authorId: m.authorId || null,
+      username: m.username || null,
+      bot: !!m.bot,
+      botTag: m.botTag || null,
       timestamp: m.timestamp,
+      edited: !!m.edited,
+      editedAt: m.editedAt || null,
+      pinned: !!m.pinned,
+      isContinuation: !!m.isContinuation,
+      roleColor: m.roleColor || null,
       contentHtml: m.contentHtml,
       avatar: (m.avatar ? (imageMap[m.avatar] && imageMap[m.avatar].dataUri ? imageMap[m.avatar].dataUri : m.avatar) : null),
       images: (m.imageUrls || []).map(u => (imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u),
       videos: (m.videoUrls || []).map(u => (imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u),
+      attachments: (m.attachments || []).map(a => Object.assign({}, a, { url: (imageMap[a.url] && imageMap[a.url].dataUri) ? imageMap[a.url].dataUri : a.url })),
       embeds: m.embeds || [],
-      reactions: m.reactions || []
+      reactions: m.reactions || [],
+      replyTo: m.replyTo || null,
+      mentions: m.mentions || [],
+      customEmojis: m.customEmojis || [],
+      stickers: (m.stickers || []).map(s => Object.assign({}, s, { url: (s.url && imageMap[s.url] && imageMap[s.url].dataUri) ? imageMap[s.url].dataUri : s.url }))
     }));
-    return JSON.stringify({ threadUrl, exportedAt: new Date().toISOString(), messages: out }, null, 2);
+    if (previousExport && Array.isArray(previousExport.messages)) {
+      // Merge: new messages replace any previously exported copy with the same ID
+      const newIds = new Set(out.map(m => m.messageId).filter(Boolean));
+      let merged = previousExport.messages.filter(m => !m.messageId || !newIds.has(m.messageId)).concat(out);
+      merged.sort(compareMessageOrder);
+      if (sort === 'descending') merged.reverse();
+      writeJsonDocument(write, {
+        threadUrl,
+        exportedAt: new Date().toISOString(),
+        incremental: { previousExportedAt: previousExport.exportedAt || null, added: out.length },
+        stats: includeStats ? computeExportStats(merged) : undefined,
+        emojis: buildEmojiInventory(merged),
+        mediaFailures: mediaFailures.length ? mediaFailures : undefined
+      }, 'messages', merged);
+      return;
+    }
+    const all = volume ? volume.allMessages : messages;
+    writeJsonDocument(write, {
+      threadUrl,
+      exportedAt: new Date().toISOString(),
+      volume: volume ? { index: volume.index, count: volume.count, previous: volume.previous || null, next: volume.next || null } : undefined,
+      stats: includeStats && firstVolume ? computeExportStats(all) : undefined,
+      emojis: firstVolume ? buildEmojiInventory(all) : undefined,
+      mediaFailures: mediaFailures.length ? mediaFailures : undefined
+    }, 'messages', out);
   }
 
-  function buildCsvExport(messages, imageMap, embedMedia) {
-    function stripHtml(s) {
-      if (!s) return '';
-      const tmp = document.createElement('div');
-      tmp.innerHTML = s;
-      return tmp.textContent || tmp.innerText || '';
-    }
-    const rows = [['messageId', 'timestamp', 'author', 'content', 'media', 'reactions', 'embeds']];
+  function writeCsvExport(write, messages, imageMap, embedMedia) {
+    const csvRow = (row) => row.map(cell => {
+      const s = (cell === null || cell === undefined) ? '' : String(cell);
+      if (s.includes('"') || s.includes(',') || s.includes('\n')) return '"' + s.replace(/"/g, '""') + '"';
+      return s;
+    }).join(',');
+    write(csvRow(['messageId', 'timestamp', 'author', 'content', 'media', 'reactions', 'embeds', 'replyToMessageId', 'replyToAuthor', 'replyToSnippet', 'attachments', 'mentions', 'type', 'edited', 'editedAt', 'pinned', 'customEmojis', 'stickers', 'authorId', 'username', 'bot']));
     messages.forEach(m => {
-      const contentText = stripHtml(m.contentHtml);
+      const contentText = htmlToText(m.contentHtml);
       const mediaArr = [];
       (m.imageUrls || []).forEach(u => {
         const mapped = imageMap[u];
@@ -1333,27 +4189,32 @@ Changelog v1.3.0:
         mediaArr.push((mapped && mapped.dataUri) ? mapped.dataUri : u);
       });
       const mediaCell = mediaArr.join(' | ');
-      const reacts = (m.reactions || []).join(' | ');
+      const reacts = (m.reactions || []).map(formatReaction).join(' | ');
       const embeds = (m.embeds || []).map(e => (e.text || '').replace(/\s+/g, ' ').trim()).join(' | ');
-      rows.push([m.messageId || '', m.timestamp || '', m.author || '', contentText || '', mediaCell, reacts, embeds]);
+      const reply = m.replyTo || {};
+      write('\n' + csvRow([m.messageId || '', m.timestamp || '', m.author || '', contentText || '', mediaCell, reacts, embeds, reply.messageId || '', reply.author || '', reply.snippet || '', (m.attachments || []).map(a => formatAttachment(a, imageMap)).join(' | '),
+        (m.mentions || []).map(x => x.type + ':' + (x.id || '') + ':' + x.name).join(' | '), m.type || 'default', m.edited ? 'true' : 'false', m.editedAt || '', m.pinned ? 'true' : 'false',
+        (m.customEmojis || []).map(e => ':' + e.name + ':' + e.id + (e.count > 1 ? ' x' + e.count : '')).join(' | '), (m.stickers || []).map(s => formatSticker(s, imageMap)).join(' | '),
+        m.authorId || '', m.username || '', m.bot ? (m.botTag || 'BOT') : '']));
     });
-    return rows.map(row => row.map(cell => {
-      const s = (cell === null || cell === undefined) ? '' : String(cell);
-      if (s.includes('"') || s.includes(',') || s.includes('\n')) return '"' + s.replace(/"/g, '""') + '"';
-      return s;
-    }).join(',')).join('\n');
   }
 
-  function buildTxtExport(messages, imageMap, embedMedia) {
-    const out = [];
-    messages.forEach(m => {
+  function writeTxtExport(write, messages, imageMap, embedMedia, volume = null) {
+    if (volume) {
+      write('Volume ' + volume.index + ' of ' + volume.count + (volume.previous ? ' - previous: ' + volume.previous : '') + (volume.next ? ' - next: ' + volume.next : '') + '\n\n');
+    }
+    messages.forEach((m, i) => {
+      const out = [];
       out.push('--- Message: ' + (m.messageId || ''));
-      out.push('Author: ' + (m.author || ''));
+      if (isSystemMessageType(m.type)) out.push('Type: ' + m.type + ' (system message)');
+      out.push('Author: ' + (m.author || '') + (m.username ? ' @' + m.username : '') + (m.authorId ? ' (' + m.authorId + ')' : '') + (m.bot ? ' [' + (m.botTag || 'BOT') + ']' : ''));
       out.push('Time: ' + (m.timestamp || ''));
-      const tmp = document.createElement('div');
-      tmp.innerHTML = m.contentHtml || '';
+      if (m.edited) out.push('Edited: ' + (m.editedAt || 'yes'));
+      if (m.pinned) out.push('Pinned: yes');
+      if (m.replyTo) out.push('Reply to: ' + (m.replyTo.author || 'Unknown') + (m.replyTo.messageId ? ' (' + m.replyTo.messageId + ')' : '') + ': ' + (m.replyTo.snippet || ''));
       out.push('Content:');
-      out.push(tmp.textContent || '');
+      out.push(htmlToText(m.contentHtml));
+      if (m.mentions && m.mentions.length) out.push('Mentions: ' + m.mentions.map(x => formatMention(x.type, x.name) + (x.id ? ' (' + x.id + ')' : '')).join(', '));
       const mediaArr = [];
       (m.imageUrls || []).forEach(u => mediaArr.push((imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u));
       (m.videoUrls || []).forEach(u => mediaArr.push((imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u));
@@ -1361,14 +4222,186 @@ Changelog v1.3.0:
         out.push('Media:');
         mediaArr.forEach(u => out.push(' - ' + u));
       }
-      if (m.reactions && m.reactions.length) out.push('Reactions: ' + m.reactions.join(' | '));
+      if (m.attachments && m.attachments.length) {
+        out.push('Attachments:');
+        m.attachments.forEach(a => out.push(' - [' + a.kind + '] ' + formatAttachment(a, imageMap)));
+      }
+      if (m.stickers && m.stickers.length) out.push('Stickers: ' + m.stickers.map(s => formatSticker(s, imageMap)).join(' | '));
+      if (m.customEmojis && m.customEmojis.length) out.push('Custom emoji: ' + m.customEmojis.map(e => ':' + e.name + ':' + (e.count > 1 ? ' x' + e.count : '')).join(', '));
+      if (m.reactions && m.reactions.length) out.push('Reactions: ' + m.reactions.map(formatReaction).join(' | '));
       if (m.embeds && m.embeds.length) {
         out.push('Embeds:');
-        m.embeds.forEach(e => out.push(' - ' + (e.text || '').replace(/\s+/g, ' ').trim()));
+        m.embeds.forEach(e => {
+          out.push(' - ' + ([e.provider, e.title].filter(Boolean).join(': ') || (e.author && e.author.name) || 'Embed'));
+          if (e.author && e.author.name) out.push('   Author: ' + e.author.name);
+          if (e.url) out.push('   URL: ' + e.url);
+          if (e.description) out.push('   ' + e.description.replace(/\n/g, '\n   '));
+          (e.fields || []).forEach(f => out.push('   ' + f.name + ': ' + f.value.replace(/\n/g, ' ')));
+          if (e.image) out.push('   Image: ' + e.image);
+          if (e.footer && e.footer.text) out.push('   Footer: ' + e.footer.text);
+        });
+      }
+      out.push('');
+      write((i ? '\n' : '') + out.join('\n'));
+    });
+  }
+
+  // ---------- Markdown ----------
+  function escapeMarkdown(s) {
+    return (s || '').replace(/([\\`*_~|[\]])/g, '\\$1');
+  }
+
+  // Converts Discord's rendered markup back into Markdown
+  // Link destinations: percent-encode characters that would end a [text](url) or <url> link early
+  function markdownUrl(url) {
+    return String(url || '').replace(/[\s()<>]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+  }
+
+  function htmlToMarkdown(html) {
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html || '';
+
+    // Discord nests spoiler containers (spoilerContent > spoilerInnerContainer); wrap only the outermost
+    function insideSpoiler(node) {
+      for (let p = node.parentElement; p && p !== tmp; p = p.parentElement) {
+        if (/spoiler/i.test((p.className && p.className.toString()) || '')) return true;
       }
+      return false;
+    }
+
+    function children(node) {
+      return Array.from(node.childNodes).map(convert).join('');
+    }
+
+    function convert(node) {
+      if (node.nodeType === Node.TEXT_NODE) return escapeMarkdown(node.textContent);
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+      const tag = node.tagName.toLowerCase();
+      const cls = (node.className && node.className.toString()) || '';
+
+      if (node.hasAttribute('data-mention-type')) return escapeMarkdown(formatMention(node.getAttribute('data-mention-type'), node.textContent));
+      if (tag === 'br') return '\n';
+      if (tag === 'pre') {
+        const code = node.querySelector('code') || node;
+        // Highlighted blocks are "hljs <lang>"; hashed Discord classes contain underscores
+        const tokens = (code.className || '').toString().split(/\s+/).map(t => t.replace(/^language-/, ''));
+        const lang = tokens.find(t => t && t !== 'hljs' && /^[a-z0-9+#]+$/i.test(t)) || '';
+        return '\n```' + lang + '\n' + code.textContent.replace(/\n$/, '') + '\n```\n';
+      }
+      if (tag === 'code') {
+        const code = node.textContent;
+        return code.includes('`') ? '`` ' + code + ' ``' : '`' + code + '`';
+      }
+      if (tag === 'img') {
+        // Emoji: keep the :name: / unicode alt text
+        return node.getAttribute('alt') || '';
+      }
+      if (tag === 'strong' || tag === 'b') return '**' + children(node) + '**';
+      if (tag === 'em' || tag === 'i') return '*' + children(node) + '*';
+      if (tag === 's' || tag === 'del') return '~~' + children(node) + '~~';
+      if (tag === 'u') return children(node);
+      if (tag === 'a') {
+        const href = node.getAttribute('href') || '';
+        const text = children(node);
+        if (!href) return text;
+        if (node.textContent.trim() === href) return '<' + markdownUrl(href) + '>';
+        return '[' + text + '](' + markdownUrl(href) + ')';
+      }
+      if (tag === 'blockquote') {
+        return '\n' + children(node).trim().split('\n').map(l => '> ' + l).join('\n') + '\n';
+      }
+      if (/^h[1-6]$/.test(tag)) return '\n' + '#'.repeat(parseInt(tag[1], 10)) + ' ' + children(node).trim() + '\n';
+      if (tag === 'li') return '\n- ' + children(node).trim();
+      if (tag === 'ul' || tag === 'ol') return children(node) + '\n';
+      // Discord-specific inline markup (hashed class names)
+      if (/spoiler/i.test(cls)) return insideSpoiler(node) ? children(node) : '||' + children(node) + '||';
+      if (/mention/i.test(cls)) return '**' + escapeMarkdown(node.textContent.trim()) + '**';
+      return children(node);
+    }
+
+    return children(tmp).replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function writeMarkdownExport(write, title, threadUrl, messages, imageMap, options = {}, volume = null) {
+    const head = [];
+    head.push('# ' + escapeMarkdown(title) + (volume ? ' (' + volume.index + '/' + volume.count + ')' : ''));
+    head.push('');
+    head.push('[Open in Discord](' + threadUrl + ') - exported ' + new Date().toISOString());
+    head.push('');
+    if (volume) {
+      head.push([volume.previous ? '[← Previous volume](' + volume.previous + ')' : '', 'Volume ' + volume.index + ' of ' + volume.count,
+        volume.next ? '[Next volume →](' + volume.next + ')' : ''].filter(Boolean).join(' · '));
+      head.push('');
+    }
+    write(head.join('\n'));
+    const exportedIds = new Set(messages.map(m => m.messageId).filter(Boolean));
+    messages.forEach(m => {
+      const out = [''];
+      out.push('---');
       out.push('');
+      // Anchor for reply links
+      if (m.messageId) out.push('<a id="msg-' + m.messageId + '"></a>');
+      if (isSystemMessageType(m.type)) {
+        // System notices are a single italic line
+        out.push('*→ ' + htmlToMarkdown(m.contentHtml).replace(/\n+/g, ' ') + '*' + (m.timestamp ? ' - ' + escapeMarkdown(m.timestamp) : ''));
+        out.push('');
+        write(out.join('\n'));
+        return;
+      }
+      out.push('### ' + escapeMarkdown(m.author || 'Unknown') + (m.bot ? ' `' + (m.botTag || 'BOT') + '`' : '') + (m.timestamp ? ' - ' + escapeMarkdown(m.timestamp) : '') +
+        (m.pinned ? ' 📌' : '') + (m.edited ? ' *(edited' + (m.editedAt ? ' ' + escapeMarkdown(m.editedAt) : '') + ')*' : ''));
+      out.push('');
+      if (m.replyTo) {
+        const who = '**@' + escapeMarkdown(m.replyTo.author || 'Unknown') + '**';
+        const replyFile = exportedIds.has(m.replyTo.messageId) ? '' : (volume && volume.fileOf.get(m.replyTo.messageId));
+        const link = (exportedIds.has(m.replyTo.messageId) || replyFile) ? '[' + who + '](' + (replyFile || '') + '#msg-' + m.replyTo.messageId + ')' : who;
+        out.push('> ↪ Replying to ' + link + ': ' + escapeMarkdown(m.replyTo.snippet || ''));
+        out.push('');
+      }
+      const text = htmlToMarkdown(m.contentHtml);
+      if (text) {
+        out.push(text);
+        out.push('');
+      }
+      (m.imageUrls || []).forEach(u => {
+        const src = (imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u;
+        const name = (u.split('?')[0].split('/').pop() || 'image');
+        out.push('![' + escapeMarkdown(name) + '](' + markdownUrl(src) + ')');
+      });
+      (m.videoUrls || []).forEach(u => {
+        const src = (imageMap[u] && imageMap[u].dataUri) ? imageMap[u].dataUri : u;
+        const name = (u.split('?')[0].split('/').pop() || 'video');
+        out.push('[Video: ' + escapeMarkdown(name) + '](' + markdownUrl(src) + ')');
+      });
+      (m.attachments || []).forEach(a => {
+        if (a.kind !== 'audio' && a.kind !== 'file') return;
+        const src = (imageMap[a.url] && imageMap[a.url].dataUri) ? imageMap[a.url].dataUri : a.url;
+        out.push('[' + (a.kind === 'audio' ? '🔊 ' : '📄 ') + escapeMarkdown(a.filename) + (a.size ? ' (' + a.size + ')' : '') + '](' + markdownUrl(src) + ')');
+      });
+      (m.stickers || []).forEach(s => {
+        const src = s.url ? ((imageMap[s.url] && imageMap[s.url].dataUri) ? imageMap[s.url].dataUri : s.url) : '';
+        out.push(src && s.format !== 'json' ? '![Sticker: ' + escapeMarkdown(s.name) + '](' + markdownUrl(src) + ')' : '*Sticker: ' + escapeMarkdown(s.name || 'unnamed') + '*');
+      });
+      if ((m.imageUrls || []).length || (m.videoUrls || []).length || (m.stickers || []).length || (m.attachments || []).some(a => a.kind === 'audio' || a.kind === 'file')) out.push('');
+      (m.embeds || []).forEach(e => {
+        const lines = [];
+        if (e.provider) lines.push('*' + escapeMarkdown(e.provider) + '*');
+        if (e.author && e.author.name) lines.push('**' + escapeMarkdown(e.author.name) + '**');
+        if (e.title) lines.push('**' + (e.url ? '[' + escapeMarkdown(e.title) + '](' + markdownUrl(e.url) + ')' : escapeMarkdown(e.title)) + '**');
+        if (e.description) lines.push(...escapeMarkdown(e.description).split('\n'));
+        (e.fields || []).forEach(f => lines.push('**' + escapeMarkdown(f.name) + ':** ' + escapeMarkdown(f.value).replace(/\n/g, ' ')));
+        const img = e.image || e.thumbnail;
+        if (img) lines.push('![](' + markdownUrl((imageMap[img] && imageMap[img].dataUri) ? imageMap[img].dataUri : img) + ')');
+        if (e.footer && e.footer.text) lines.push('*' + escapeMarkdown(e.footer.text) + '*');
+        lines.forEach(l => out.push('> ' + l));
+        out.push('');
+      });
+      if (m.reactions && m.reactions.length) {
+        out.push('*Reactions:* ' + m.reactions.map(r => escapeMarkdown(r.emoji) + ' ' + r.count).join(' · '));
+        out.push('');
+      }
+      write(out.join('\n'));
     });
-    return out.join('\n');
   }
 
   // ---------- Timestamp parsing / DOM order detection ----------
@@ -1389,163 +4422,786 @@ Changelog v1.3.0:
     return 0;
   }
 
-  // ---------- Main export orchestration ----------
-  async function runExportWithOptions(options) {
-    exportBtn.disabled = true;
-    const originalText = exportBtn.textContent;
-    try {
-      exportBtn.textContent = 'Loading messages...';
-      const container = findMessageContainer();
-      const nodes = await autoLoadAllMessages(container, (p) => {
-        exportBtn.textContent = 'Loading... msgs:' + (p.messages || '');
-      });
-      exportBtn.textContent = 'Collecting messages...';
+  // ---------- Date / message ID range ----------
+  // Accepts a raw ID or a message link (https://discord.com/channels/<guild>/<channel>/<message>)
+  function parseMessageIdInput(value) {
+    const m = /(\d{15,})\/?\s*$/.exec((value || '').toString().trim());
+    return m ? m[1] : '';
+  }
+
+  // Parse 'YYYY-MM-DD' as local time; endOfDay makes the upper bound inclusive
+  function parseDateInput(value, endOfDay) {
+    if (!value) return 0;
+    const n = Date.parse(value + (endOfDay ? 'T23:59:59.999' : 'T00:00:00'));
+    return isNaN(n) ? 0 : n;
+  }
+
+  function getExportRange(options) {
+    return {
+      from: parseDateInput(options.dateFrom, false),
+      to: parseDateInput(options.dateTo, true),
+      afterId: parseMessageIdInput(options.afterMessageId)
+    };
+  }
+
+  function hasRange(range) {
+    return !!(range.from || range.to || range.afterId);
+  }
+
+  // True once the buffer holds a message at or before the range's lower bound
+  function hasReachedLowerBound(range) {
+    if (!range.from && !range.afterId) return false;
+    for (const m of messageBuffer.values()) {
+      if (range.afterId && isSnowflake(m.messageId) && compareSnowflakes(m.messageId, range.afterId) <= 0) return true;
+      const ts = parseTimestampToNumber(m.timestamp);
+      if (range.from && ts && ts < range.from) return true;
+    }
+    return false;
+  }
 
-      // Reset continuation message tracking
-      lastKnownAuthor = '';
-      lastKnownAvatar = '';
+  // Messages without a parseable timestamp/ID are kept rather than silently dropped
+  function isInRange(m, range) {
+    if (range.afterId && isSnowflake(m.messageId) && compareSnowflakes(m.messageId, range.afterId) <= 0) return false;
+    const ts = parseTimestampToNumber(m.timestamp);
+    if (ts && range.from && ts < range.from) return false;
+    if (ts && range.to && ts > range.to) return false;
+    return true;
+  }
 
-      // Extract messages with options (for filtering during extraction)
-      let messages = nodes.map(n => extractMessageData(n, options));
+  // ---------- Message filters ----------
+  function hasMessageFilters(options) {
+    return (options.filterAuthorMode && options.filterAuthorMode !== 'all' && (options.filterAuthors || []).length > 0) ||
+      !!options.filterText || !!options.filterHasAttachment || !!options.filterHasLink || !!options.filterHasReaction ||
+      !!options.dropSystemMessages;
+  }
+
+  function messageHasLink(m) {
+    if ((m.embeds || []).length) return true;
+    return /<a\s[^>]*href=["']https?:/i.test(m.contentHtml || '') || /https?:\/\//i.test(htmlToText(m.contentHtml));
+  }
 
-      // Detect DOM order
-      let domIsNewestFirst = false;
-      if (messages.length >= 2) {
-        const firstTs = parseTimestampToNumber(messages[0].timestamp);
-        const lastTs = parseTimestampToNumber(messages[messages.length - 1].timestamp);
-        if (firstTs && lastTs && firstTs > lastTs) domIsNewestFirst = true;
+  // Returns the messages that pass the author/text/has-* filters
+  function applyMessageFilters(messages, options) {
+    const authors = new Set(options.filterAuthors || []);
+    const mode = authors.size ? (options.filterAuthorMode || 'all') : 'all';
+    let textTest = null;
+    if (options.filterText) {
+      if (options.filterRegex) {
+        const re = new RegExp(options.filterText, 'i');
+        textTest = (t) => re.test(t);
+      } else {
+        const needle = options.filterText.toLowerCase();
+        textTest = (t) => t.toLowerCase().includes(needle);
       }
+    }
+    return messages.filter(m => {
+      if (options.dropSystemMessages && isSystemMessageType(m.type)) return false;
+      if (mode === 'include' && !authors.has(m.author)) return false;
+      if (mode === 'exclude' && authors.has(m.author)) return false;
+      if (textTest && !textTest(htmlToText(m.contentHtml))) return false;
+      if (options.filterHasAttachment && !((m.imageUrls || []).length || (m.videoUrls || []).length || (m.attachments || []).length)) return false;
+      if (options.filterHasLink && !messageHasLink(m)) return false;
+      if (options.filterHasReaction && !(m.reactions || []).length) return false;
+      return true;
+    });
+  }
+
+  // ---------- Redaction ----------
+  // One regex per line; blank lines and lines starting with # are ignored. Throws on invalid patterns.
+  function parseRedactPatterns(text) {
+    return (text || '').split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .map(line => new RegExp(line, 'gi'));
+  }
 
-      // Desired: ascending = oldest->newest; descending = newest->oldest
-      if ((domIsNewestFirst && options.sort === 'ascending') || (!domIsNewestFirst && options.sort === 'descending')) {
-        messages = messages.reverse();
+  function maskText(text, patterns) {
+    if (!text) return text;
+    return patterns.reduce((out, re) => out.replace(re, REDACTED_TEXT), text);
+  }
+
+  // Replaces every known display name (whole words, with or without a leading @) by its pseudonym.
+  // One pass with the longest names first, so "Bob Smith" is not half-replaced through "Bob" and an
+  // inserted pseudonym is never matched again.
+  function pseudonymizeNames(text, names, pseudonymFor) {
+    if (!text || !names.length) return text;
+    const alternatives = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    const re = new RegExp('(^|[^\\p{L}\\p{N}_])@?(' + alternatives + ')(?![\\p{L}\\p{N}_])', 'gu');
+    return text.replace(re, (all, lead, name) => lead + pseudonymFor(name));
+  }
+
+  // Replaces user mention names, drops mention IDs and masks patterns in every text node
+  function redactContentHtml(html, pseudonymFor, patterns) {
+    if (!html) return html;
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html;
+    tmp.querySelectorAll('[data-mention-type="user"]').forEach(n => {
+      n.textContent = '@' + pseudonymFor(n.textContent.trim().replace(/^@/, ''), n.getAttribute('data-mention-id'));
+      n.removeAttribute('data-mention-id');
+      if (n.hasAttribute('href')) n.removeAttribute('href');
+    });
+    tmp.querySelectorAll('img[alt]').forEach(img => img.setAttribute('alt', maskText(img.getAttribute('alt'), patterns)));
+    tmp.querySelectorAll('a[href]').forEach(a => {
+      const href = a.getAttribute('href');
+      const masked = maskText(href, patterns);
+      if (masked !== href) a.removeAttribute('href');
+    });
+    const walker = document.createTreeWalker(tmp, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(t => { t.nodeValue = maskText(t.nodeValue, patterns); });
+    return tmp.innerHTML;
+  }
+
+  // Pseudonymizes messages in place (expects oldest first, the order authors were inherited in).
+  // Returns the mapping table [{ pseudonym, author, authorId }] in pseudonym order.
+  function redactMessages(messages, options) {
+    const patterns = parseRedactPatterns(options.redactPatterns);
+    const byKey = new Map();
+    const mapping = [];
+    const entryOf = new Map();
+    // The same pseudonym for a user ID and every display name seen with it. A name is only looked up
+    // when the ID is unknown or the name's entry has no ID yet, so two users sharing a display name
+    // keep separate pseudonyms.
+    const pseudonymFor = (name, id) => {
+      const clean = (name || '').trim();
+      if (!clean && !id) return clean;
+      let pseudonym = id ? byKey.get('id:' + id) : '';
+      if (!pseudonym && clean) {
+        const byName = byKey.get('name:' + clean);
+        if (byName && (!id || !entryOf.get(byName).authorId)) pseudonym = byName;
+      }
+      if (!pseudonym) {
+        pseudonym = 'User ' + (mapping.length + 1);
+        const entry = { pseudonym, author: clean, authorId: id || '' };
+        mapping.push(entry);
+        entryOf.set(pseudonym, entry);
+      }
+      if (id) {
+        byKey.set('id:' + id, pseudonym);
+        if (!entryOf.get(pseudonym).authorId) entryOf.get(pseudonym).authorId = id;
+      }
+      if (clean && !byKey.has('name:' + clean)) byKey.set('name:' + clean, pseudonym);
+      return pseudonym;
+    };
+
+    // Authors first so their numbers follow message order, then users only seen in mentions/replies
+    messages.forEach(m => pseudonymFor(m.author, m.authorId));
+    // Reply bars only carry a display name (and sometimes an avatar); the replied-to message, when it
+    // is part of the export, tells us who actually wrote it
+    const authorIdByMessage = new Map();
+    messages.forEach(m => { if (m.messageId && m.authorId) authorIdByMessage.set(m.messageId, m.authorId); });
+    messages.forEach(m => {
+      if (m.replyTo) pseudonymFor(m.replyTo.author, m.replyTo.authorId || authorIdByMessage.get(m.replyTo.messageId));
+      (m.mentions || []).forEach(x => { if (x.type === 'user') pseudonymFor((x.name || '').replace(/^@/, ''), x.id); });
+    });
+    // Free text (reply snippets, embeds) has no markup around names, so every name seen so far is
+    // replaced wherever it stands on its own; very short names would hit ordinary words
+    const knownNames = mapping.map(x => x.author)
+      .concat(Array.from(byKey.keys()).filter(k => k.startsWith('name:')).map(k => k.slice(5)))
+      .filter((name, i, all) => name.length >= 3 && all.indexOf(name) === i)
+      .sort((a, b) => b.length - a.length);
+    const maskFree = (text) => maskText(pseudonymizeNames(text, knownNames, pseudonymFor), patterns);
+    messages.forEach(m => {
+      m.author = pseudonymFor(m.author, m.authorId);
+      m.authorId = '';
+      m.username = '';
+      m.avatar = '';
+      m.contentHtml = redactContentHtml(m.contentHtml, pseudonymFor, patterns);
+      m.mentions = (m.mentions || []).map(x => x.type === 'user'
+        ? { type: x.type, id: '', name: pseudonymFor((x.name || '').replace(/^@/, ''), x.id) }
+        : x);
+      if (m.replyTo) {
+        m.replyTo = Object.assign({}, m.replyTo, {
+          author: pseudonymFor(m.replyTo.author, m.replyTo.authorId || authorIdByMessage.get(m.replyTo.messageId)),
+          authorId: '',
+          snippet: maskFree(m.replyTo.snippet)
+        });
       }
+      (m.embeds || []).forEach(e => {
+        ['title', 'description', 'text'].forEach(k => { e[k] = maskFree(e[k]); });
+        if (e.author) e.author.name = maskFree(e.author.name);
+        if (e.footer) e.footer.text = maskFree(e.footer.text);
+        (e.fields || []).forEach(f => { f.name = maskFree(f.name); f.value = maskFree(f.value); });
+      });
+      (m.attachments || []).forEach(a => { a.filename = maskText(a.filename, patterns); });
+    });
 
-      // Track filtered emojis for stats
-      let totalEmojisFiltered = 0;
+    return mapping;
+  }
 
-      // Sanitize contentHtml and filter media arrays
-      messages.forEach(m => {
-        m.contentHtml = sanitizeContentHtml(m.contentHtml || '', options);
-
-        // Additional filtering pass on imageUrls (redundant safety)
-        const beforeCount = m.imageUrls.length;
-        m.imageUrls = (m.imageUrls || []).filter(u => {
-          if (!options.includeImages) return false;
-          if (!options.includeInlineEmojis && isEmojiUrl(u)) {
-            debugLog('Post-filter: removing emoji URL:', u);
+  // Channel title for headings and the batch index; the tab title is not safe to show when redacting
+  function exportTitle(options) {
+    if (options && options.redact) return REDACTED_TITLE;
+    return document.title || '';
+  }
+
+  function buildRedactionMapCsv(mapping) {
+    const rows = [['pseudonym', 'author', 'authorId']].concat(mapping.map(x => [x.pseudonym, x.author, x.authorId]));
+    return rows.map(row => row.map(cell => {
+      const s = (cell === null || cell === undefined) ? '' : String(cell);
+      if (s.includes('"') || s.includes(',') || s.includes('\n')) return '"' + s.replace(/"/g, '""') + '"';
+      return s;
+    }).join(',')).join('\n');
+  }
+
+  // ---------- Incremental export ----------
+  // Only moves forward: re-exporting an older range never rewinds the record
+  function recordExportedMessages(channelKey, messages) {
+    const newest = messages.slice().sort(compareMessageOrder).pop();
+    if (!newest || !isSnowflake(newest.messageId)) return;
+    const state = loadExportState();
+    const prev = state[channelKey];
+    if (prev && isSnowflake(prev.messageId) && compareSnowflakes(prev.messageId, newest.messageId) >= 0) return;
+    state[channelKey] = { messageId: newest.messageId, timestamp: newest.timestamp || '', exportedAt: new Date().toISOString() };
+    saveExportState(state);
+    debugLog('Recorded newest exported message for', channelKey, newest.messageId);
+  }
+
+  // Newest message ID from the stored record and/or a previously exported JSON file
+  function getIncrementalBaseline(channelKey, previousExport) {
+    const ids = [];
+    const rec = loadExportState()[channelKey];
+    if (rec && isSnowflake(rec.messageId)) ids.push(rec.messageId);
+    if (previousExport && Array.isArray(previousExport.messages)) {
+      previousExport.messages.forEach(m => { if (m && isSnowflake(m.messageId)) ids.push(m.messageId); });
+    }
+    return ids.sort(compareSnowflakes).pop() || '';
+  }
+
+  function newerMessageId(a, b) {
+    a = parseMessageIdInput(a);
+    b = parseMessageIdInput(b);
+    if (!a || !b) return a || b;
+    return compareSnowflakes(a, b) >= 0 ? a : b;
+  }
+
+  async function readJsonFile(file) {
+    const text = await file.text();
+    const parsed = JSON.parse(text);
+    if (!parsed || !Array.isArray(parsed.messages)) throw new Error(file.name + ' is not a Discord Thread Exporter JSON file');
+    return parsed;
+  }
+
+  // ---------- Main export orchestration ----------
+  // Load, extract, filter and build the currently open channel/thread, then download the file.
+  // hooks: { status(text), confirm(stats) -> Promise<boolean>, mergeFile }
+  // Resolves to { status: 'done' | 'empty' | 'cancelled', threadUrl, title, filename, messageCount }
+  async function exportCurrentChannel(options, hooks = {}) {
+    const status = hooks.status || (() => {});
+    const progress = hooks.progress || (() => {});
+    const log = hooks.log || (() => {});
+    const control = hooks.control || null;
+    const threadUrl = window.location.href;
+    const channelKey = getChannelKey(threadUrl);
+
+    // Incremental: start after the newest message already exported (record or merge file)
+    let previousExport = null;
+    if (options.incremental && options.format === 'json' && hooks.mergeFile) {
+      previousExport = await readJsonFile(hooks.mergeFile);
+    }
+    const baselineId = options.incremental ? getIncrementalBaseline(channelKey, previousExport) : '';
+    if (baselineId) {
+      options = Object.assign({}, options, { afterMessageId: newerMessageId(options.afterMessageId, baselineId) });
+      debugLog('Incremental export after message', options.afterMessageId);
+    } else if (options.incremental) {
+      debugLog('No previous export recorded for', channelKey, '- exporting everything');
+    }
+
+    status('Loading messages...');
+    const container = findMessageContainer();
+
+    // Reset the message buffer and continuation message tracking
+    resetMessageBuffer();
+
+    // Messages are extracted (with options, for filtering) on every scroll round
+    progress('loading', 0, 0);
+    let messages = await autoLoadAllMessages(container, (p) => {
+      status('Loading... msgs:' + (p.messages || ''));
+      progress('loading', p.messages || 0, 0);
+    }, options, control);
+    log('Collected ' + messages.length + ' message(s)');
+    if (control && control.aborted()) return { status: 'cancelled', threadUrl, messageCount: messages.length };
+    status('Collecting messages...');
+
+    // Drop messages outside the requested date / message ID range
+    const range = getExportRange(options);
+    if (hasRange(range)) {
+      const beforeRange = messages.length;
+      messages = messages.filter(m => isInRange(m, range));
+      debugLog('Range filter kept', messages.length, 'of', beforeRange, 'messages');
+      log('Date/ID range kept ' + messages.length + ' of ' + beforeRange);
+    }
+    // The incremental record covers everything in range, including messages the filters below drop;
+    // recording only kept messages would make later runs skip older messages of other authors
+    const coveredMessages = messages;
+
+    markPinnedFromSystemMessages(messages);
+
+    // Author / text / has-* filters
+    let filteredOut = 0;
+    if (hasMessageFilters(options)) {
+      const beforeFilter = messages.length;
+      messages = applyMessageFilters(messages, options);
+      filteredOut = beforeFilter - messages.length;
+      debugLog('Message filters removed', filteredOut, 'of', beforeFilter, 'messages');
+      log('Filters removed ' + filteredOut + ' of ' + beforeFilter);
+    }
+
+    if (baselineId && !messages.length) {
+      // New messages that were all filtered out still move the marker, so later runs don't rescan them
+      if (filteredOut && !(control && control.stopLoading)) recordExportedMessages(channelKey, coveredMessages);
+      return { status: 'empty', threadUrl, title: exportTitle(options), messageCount: 0, filteredOut };
+    }
+
+    // Redaction runs before sorting so pseudonyms follow the order authors appeared in
+    let redactionMap = null;
+    if (options.redact) {
+      redactionMap = redactMessages(messages, options);
+      debugLog('Redacted', redactionMap.length, 'user names');
+    }
+
+    // Detect DOM order
+    let domIsNewestFirst = false;
+    if (messages.length >= 2) {
+      const firstTs = parseTimestampToNumber(messages[0].timestamp);
+      const lastTs = parseTimestampToNumber(messages[messages.length - 1].timestamp);
+      if (firstTs && lastTs && firstTs > lastTs) domIsNewestFirst = true;
+    }
+
+    // Desired: ascending = oldest->newest; descending = newest->oldest
+    if ((domIsNewestFirst && options.sort === 'ascending') || (!domIsNewestFirst && options.sort === 'descending')) {
+      messages = messages.reverse();
+    }
+
+    // Track filtered emojis and stripped markup for stats
+    let totalEmojisFiltered = 0;
+    let sanitizedNodes = 0;
+    let sanitizedAttributes = 0;
+
+    // Sanitize contentHtml (options first, then the allowlist) and filter media arrays
+    progress('extracting', 0, messages.length);
+    messages.forEach(m => {
+      const safe = sanitizeHtmlAllowlist(sanitizeContentHtml(m.contentHtml || '', options));
+      m.contentHtml = safe.html;
+      sanitizedNodes += safe.strippedNodes;
+      sanitizedAttributes += safe.strippedAttributes;
+
+      // Additional filtering pass on imageUrls (redundant safety)
+      const beforeCount = m.imageUrls.length;
+      m.imageUrls = (m.imageUrls || []).filter(u => {
+        if (!options.includeImages) return false;
+        if (!options.includeInlineEmojis && isEmojiUrl(u)) {
+          debugLog('Post-filter: removing emoji URL:', u);
+          return false;
+        }
+        if (!options.includeGifs) {
+          const ext = (u.split('?')[0].split('.').pop() || '').toLowerCase();
+          if (ext === 'gif' || ext === 'apng') {
+            debugLog('Post-filter: removing GIF by extension:', u);
             return false;
           }
-          if (!options.includeGifs) {
-            const ext = (u.split('?')[0].split('.').pop() || '').toLowerCase();
-            if (ext === 'gif' || ext === 'apng') {
-              debugLog('Post-filter: removing GIF by extension:', u);
-              return false;
-            }
-            if (isGifPickerUrl(u)) {
-              debugLog('Post-filter: removing GIF picker image:', u);
-              return false;
-            }
-          }
-          return true;
-        });
-        totalEmojisFiltered += (m.filteredEmojiUrls || []).length + (beforeCount - m.imageUrls.length);
-
-        m.videoUrls = (m.videoUrls || []).filter(u => {
-          if (!options.includeVideos) return false;
-          // Filter out GIF picker videos (Tenor, Giphy, etc.) when GIFs disabled
-          if (!options.includeGifs && isGifPickerUrl(u)) {
-            debugLog('Filtering GIF picker video:', u);
+          if (isGifPickerUrl(u)) {
+            debugLog('Post-filter: removing GIF picker image:', u);
             return false;
           }
-          return true;
-        });
+        }
+        return true;
+      });
+      totalEmojisFiltered += (m.filteredEmojiUrls || []).length + (beforeCount - m.imageUrls.length);
+
+      m.videoUrls = (m.videoUrls || []).filter(u => {
+        if (!options.includeVideos) return false;
+        // Filter out GIF picker videos (Tenor, Giphy, etc.) when GIFs disabled
+        if (!options.includeGifs && isGifPickerUrl(u)) {
+          debugLog('Filtering GIF picker video:', u);
+          return false;
+        }
+        return true;
+      });
 
-        if (!options.includeEmbeds) m.embeds = [];
-        if (!options.includeReactions) m.reactions = [];
-        if (!options.includeAvatars) m.avatar = '';
+      m.attachments = (m.attachments || []).filter(a => {
+        if (a.kind === 'image') return options.includeImages && (options.includeGifs || !/\.(gif|apng)$/i.test(a.filename));
+        if (a.kind === 'video') return options.includeVideos;
+        return options.includeFiles !== false;
       });
 
-      // Calculate stats for confirmation
-      const stats = {
-        messageCount: messages.length,
-        imageCount: messages.reduce((sum, m) => sum + (m.imageUrls || []).length, 0),
-        videoCount: messages.reduce((sum, m) => sum + (m.videoUrls || []).length, 0),
-        emojisFiltered: totalEmojisFiltered,
-        embedMedia: options.embedMedia
-      };
+      if (!options.includeEmbeds) m.embeds = [];
+      if (!options.includeReactions) m.reactions = [];
+      if (!options.includeAvatars || options.redact) m.avatar = '';
+    });
 
-      debugLog('Export stats:', stats);
+    // Calculate stats for confirmation and the summary outputs
+    const stats = Object.assign(computeExportStats(messages), {
+      filteredOut,
+      emojisFiltered: totalEmojisFiltered,
+      sanitizedNodes,
+      sanitizedAttributes,
+      embedMedia: options.embedMedia,
+      zipOutput: options.zipOutput
+    });
 
-      // Show confirmation if enabled
-      if (options.showConfirmation) {
-        exportBtn.textContent = 'Awaiting confirmation...';
-        const confirmed = await new Promise((resolve) => {
-          createConfirmModal(stats, () => resolve(true), () => resolve(false));
-        });
-        if (!confirmed) {
-          exportBtn.textContent = originalText;
-          exportBtn.disabled = false;
-          return;
-        }
-      }
+    debugLog('Export stats:', stats);
 
-      // Build list of media URLs to fetch if embedding requested
-      const allMedia = [];
-      messages.forEach(m => {
-        if (m.avatar) allMedia.push(m.avatar);
-        (m.imageUrls || []).forEach(u => allMedia.push(u));
-        (m.videoUrls || []).forEach(u => allMedia.push(u));
-      });
-      const uniqueMedia = Array.from(new Set(allMedia.filter(Boolean)));
-
-      let imageMap = {};
-      if (options.embedMedia && uniqueMedia.length) {
-        exportBtn.textContent = 'Fetching ' + uniqueMedia.length + ' assets...';
-        imageMap = await fetchAllDataUris(uniqueMedia, (s) => {
-          exportBtn.textContent = 'Fetching assets ' + s.done + '/' + s.total;
-        });
-      } else {
-        uniqueMedia.forEach(u => imageMap[u] = { url: u, dataUri: null, error: 'not_fetched' });
-      }
+    // Show confirmation if enabled
+    if (hooks.confirm) {
+      status('Awaiting confirmation...');
+      const confirmed = await hooks.confirm(stats);
+      if (!confirmed) return { status: 'cancelled', threadUrl, messageCount: messages.length };
+    }
 
-      exportBtn.textContent = 'Building file...';
-      const title = document.title || 'Discord Thread Export';
-      const threadUrl = window.location.href;
-      let outContent = '';
-      let filename = 'discord-thread-' + (threadUrl.split('/').slice(-1)[0] || Date.now());
+    // Build list of media URLs to fetch if embedding requested
+    const allMedia = [];
+    messages.forEach(m => messageMediaUrls(m).forEach(u => allMedia.push(u)));
+    const legendMedia = (options.format === 'html' && options.emojiLegend) ? buildEmojiInventory(messages).map(e => e.url).filter(Boolean) : [];
+    legendMedia.forEach(u => allMedia.push(u));
+    const uniqueMedia = Array.from(new Set(allMedia.filter(Boolean)));
+
+    let imageMap = {};
+    const zipMedia = [];
+    const fetchingMedia = (options.zipOutput || options.embedMedia) && uniqueMedia.length > 0;
+    const cacheDb = (fetchingMedia && options.mediaCache !== false) ? await openMediaCache() : null;
+    const cacheMaxBytes = (Number(options.mediaCacheMB) || DEFAULT_OPTIONS.mediaCacheMB) * 1024 * 1024;
+    const cacheCounts = { hits: 0, misses: 0 };
+    const fetchSettings = getFetchSettings(options);
+    // Network (retries, timeout, per-asset cap) behind the cache, the per-export cap in front of both
+    const fetchBytes = limitMediaBytes(cachedMediaFetcher(cacheDb, cacheMaxBytes, cacheCounts, (url) => fetchMediaWithRetry(url, fetchSettings), fetchSettings.maxAssetBytes), fetchSettings.maxExportBytes);
+    const fetchProgress = (s) => {
+      progress('fetching', s.done, s.total);
+      status('Fetching assets ' + s.done + '/' + s.total + (cacheDb ? ' (cache: ' + cacheCounts.hits + ' hit, ' + cacheCounts.misses + ' miss)' : ''));
+    };
+    if (options.zipOutput && uniqueMedia.length) {
+      // ZIP: keep the raw bytes and point document references at media/ (stored in the dataUri slot)
+      status('Fetching ' + uniqueMedia.length + ' assets...');
+      progress('fetching', 0, uniqueMedia.length);
+      const fetched = await fetchAllMediaBlobs(uniqueMedia, fetchProgress, fetchBytes, control);
+      uniqueMedia.forEach((u, i) => {
+        const r = fetched[u];
+        if (r && r.blob) {
+          const path = mediaFileName(u, i + 1, r.blob.type);
+          zipMedia.push({ name: path, data: r.blob, compress: false });
+          imageMap[u] = { url: u, dataUri: path, error: null };
+        } else {
+          imageMap[u] = { url: u, dataUri: null, error: r ? r.error : 'skipped', attempts: r ? r.attempts : 0 };
+        }
+      });
+    } else if (options.embedMedia && uniqueMedia.length) {
+      status('Fetching ' + uniqueMedia.length + ' assets...');
+      progress('fetching', 0, uniqueMedia.length);
+      imageMap = await fetchAllMediaBlobs(uniqueMedia, fetchProgress, fetchBytes, control);
+      uniqueMedia.forEach(u => { if (!imageMap[u]) imageMap[u] = { url: u, dataUri: null, error: 'skipped', attempts: 0 }; });
+    } else {
+      uniqueMedia.forEach(u => imageMap[u] = { url: u, dataUri: null, error: 'not_fetched' });
+    }
+    if (cacheDb) {
+      const usage = await pruneMediaCache(cacheDb, cacheMaxBytes);
+      debugLog('Media cache:', cacheCounts.hits, 'hits,', cacheCounts.misses, 'misses,', usage.count, 'entries,', formatBytes(usage.bytes));
+    }
 
+    let mediaFailures = [];
+    if (fetchingMedia) {
+      const fetchedCount = uniqueMedia.filter(u => imageMap[u] && !imageMap[u].error).length;
+      log('Fetched ' + fetchedCount + ' of ' + uniqueMedia.length + ' asset(s)');
+      mediaFailures = collectMediaFailures(imageMap);
+      mediaFailures.forEach(f => log('Failed: ' + f.reason + ' - ' + f.url));
+      if (mediaFailures.length) debugLog('Media failures:', mediaFailures);
+    }
+    if (control && control.aborted()) return { status: 'cancelled', threadUrl, messageCount: messages.length };
+    // Stopped with "export what was collected"
+    const partial = !!(control && control.stopLoading);
+
+    status('Building file...');
+    progress('building', 0, 0);
+    const title = exportTitle(options) || 'Discord Thread Export';
+    let baseName = 'discord-thread-' + (threadUrl.split('/').slice(-1)[0] || Date.now());
+    if (baselineId && !previousExport) baseName += '-incremental';
+    if (partial) baseName += '-partial';
+
+    const FORMATS = {
+      html: { ext: '.html', mime: 'text/html;charset=utf-8' },
+      json: { ext: '.json', mime: 'application/json;charset=utf-8' },
+      csv: { ext: '.csv', mime: 'text/csv;charset=utf-8' },
+      txt: { ext: '.txt', mime: 'text/plain;charset=utf-8' },
+      md: { ext: '.md', mime: 'text/markdown;charset=utf-8' }
+    };
+    const format = FORMATS[options.format];
+    if (!format) throw new Error('Unknown format: ' + options.format);
+
+    // Merging into a previous JSON export always produces a single file
+    const volumes = previousExport ? [messages] : planVolumes(messages, imageMap, options);
+    const names = volumeFileNames(baseName, format.ext, volumes.length);
+    const volumeInfo = describeVolumes(volumes, names);
+    const outputs = [];
+    for (let i = 0; i < volumes.length; i++) {
+      if (volumes.length > 1) status('Building volume ' + (i + 1) + '/' + volumes.length + '...');
+      progress('building', i, volumes.length);
+      const writer = createBlobWriter(format.mime);
+      const part = volumes[i];
+      const volume = volumeInfo[i];
+      // Only this volume's media is held as base64 while it is written
+      await inlineVolumeMedia([].concat(...part.map(messageMediaUrls), i === 0 ? legendMedia : []), imageMap);
       if (options.format === 'html') {
-        outContent = buildHtmlExport(title, threadUrl, messages, imageMap, options.theme || 'light', options);
-        filename += '.html';
-        downloadBlob(filename, outContent, 'text/html;charset=utf-8');
+        writeHtmlExport(writer.write, title, threadUrl, part, imageMap, options.theme || 'light', options, options.includeStats !== false ? stats : null, volume);
       } else if (options.format === 'json') {
-        outContent = buildJsonExport(threadUrl, messages, imageMap, options.embedMedia);
-        filename += '.json';
-        downloadBlob(filename, outContent, 'application/json;charset=utf-8');
+        writeJsonExport(writer.write, threadUrl, part, imageMap, options.embedMedia, previousExport, options.sort, options.includeStats !== false, volume);
       } else if (options.format === 'csv') {
-        outContent = buildCsvExport(messages, imageMap, options.embedMedia);
-        filename += '.csv';
-        downloadBlob(filename, outContent, 'text/csv;charset=utf-8');
+        writeCsvExport(writer.write, part, imageMap, options.embedMedia);
       } else if (options.format === 'txt') {
-        outContent = buildTxtExport(messages, imageMap, options.embedMedia);
-        filename += '.txt';
-        downloadBlob(filename, outContent, 'text/plain;charset=utf-8');
+        writeTxtExport(writer.write, part, imageMap, options.embedMedia, volume);
       } else {
-        alert('Unknown format: ' + options.format);
+        writeMarkdownExport(writer.write, title, threadUrl, part, imageMap, options, volume);
+      }
+      outputs.push({ name: names[i], blob: writer.toBlob() });
+      releaseVolumeMedia(imageMap);
+      // Let the page breathe between volumes
+      await new Promise(r => setTimeout(r, 0));
+    }
+    progress('building', volumes.length, volumes.length);
+    if (volumes.length > 1) log('Split into ' + volumes.length + ' volumes');
+
+    let filename = names[0];
+    const statsName = options.statsCsv ? baseName + '-stats.csv' : '';
+    if (options.zipOutput) {
+      status('Writing ZIP...');
+      const zipFiles = outputs.map(o => ({ name: o.name, data: o.blob, compress: true }));
+      if (statsName) zipFiles.push({ name: statsName, data: buildStatsCsv(stats), compress: true });
+      const zip = await buildZip(zipFiles.concat(zipMedia));
+      filename = baseName + '.zip';
+      downloadBlob(filename, zip, 'application/zip');
+    } else {
+      for (let i = 0; i < outputs.length; i++) {
+        // Browsers drop rapid-fire downloads; space the volumes out a little
+        if (i) await new Promise(r => setTimeout(r, 400));
+        downloadBlob(outputs[i].name, outputs[i].blob, format.mime);
       }
+      if (statsName) downloadBlob(statsName, buildStatsCsv(stats), 'text/csv;charset=utf-8');
+    }
+    // Never packed into the ZIP - the mapping is kept apart from the shared export
+    if (redactionMap && options.redactMappingCsv) {
+      downloadBlob(baseName + '-redaction-map.csv', buildRedactionMapCsv(redactionMap), 'text/csv;charset=utf-8');
+    }
+
+    log('Saved ' + (options.zipOutput || outputs.length === 1 ? filename : outputs.length + ' files (' + names[0] + ' ...)'));
 
-      exportBtn.textContent = 'Export complete';
-      GM_notification && GM_notification({ text: 'Export complete: ' + filename, title: 'Discord Export', timeout: 4000 });
+    // A partial export may have skipped older messages; the next incremental run should not start after it
+    if (!partial) recordExportedMessages(channelKey, coveredMessages);
+    return { status: partial ? 'partial' : 'done', threadUrl, title, filename, messageCount: messages.length, mediaFailures };
+  }
+
+  async function runExportWithOptions(options) {
+    exportBtn.disabled = true;
+    const originalText = exportBtn.textContent;
+    const control = createExportControl();
+    const panel = createProgressPanel(control);
+    try {
+      const result = await exportCurrentChannel(options, {
+        status: (text) => {
+          exportBtn.textContent = text;
+          panel.status(text);
+        },
+        progress: panel.progress,
+        log: panel.log,
+        control,
+        confirm: options.showConfirmation ? (stats) => new Promise((resolve) => {
+          createConfirmModal(stats, () => resolve(true), () => resolve(false));
+        }) : null,
+        mergeFile
+      });
+
+      if (result.status === 'cancelled') {
+        // Cancelled from the panel: keep its log up; declined confirmation: just go away
+        if (control.cancelled) panel.finish('Export cancelled');
+        else panel.remove();
+        exportBtn.textContent = originalText;
+        exportBtn.disabled = false;
+        return;
+      }
+      if (result.status === 'empty') {
+        const emptyText = result.filteredOut
+          ? 'All ' + result.filteredOut + ' new message(s) were filtered out'
+          : 'No new messages since the last export';
+        exportBtn.textContent = result.filteredOut ? 'All filtered out' : 'No new messages';
+        panel.finish(emptyText);
+        GM_notification && GM_notification({ text: emptyText, title: 'Discord Export', timeout: 4000 });
+      } else {
+        const label = result.status === 'partial' ? 'Partial export saved' : 'Export complete';
+        const failed = (result.mediaFailures || []).length;
+        const failedText = failed ? failed + ' media file(s) could not be fetched and link to Discord instead' : '';
+        exportBtn.textContent = label;
+        panel.finish(label + ' (' + result.messageCount + ' messages)' + (failed ? '; ' + failedText : ''));
+        GM_notification && GM_notification({ text: label + ': ' + result.filename + (failed ? '\n' + failedText + ':\n' + summarizeMediaFailures(result.mediaFailures) : ''), title: 'Discord Export', timeout: failed ? 10000 : 4000 });
+      }
       setTimeout(() => { exportBtn.textContent = originalText; exportBtn.disabled = false; }, 1500);
     } catch (err) {
       console.error('Export failed', err);
+      panel.finish('Export failed: ' + (err && err.message ? err.message : err));
       alert('Export failed: ' + (err && err.message ? err.message : err));
       exportBtn.textContent = originalText;
       exportBtn.disabled = false;
     }
   }
 
+  // ---------- Batch export ----------
+  // Queue: { urls, index, results[], options, running, startedAt } - saved after every channel
+  function loadBatchState() {
+    try {
+      const raw = localStorage.getItem(BATCH_KEY);
+      const parsed = raw ? JSON.parse(raw) : null;
+      return (parsed && Array.isArray(parsed.urls)) ? parsed : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  function saveBatchState(state) {
+    try { localStorage.setItem(BATCH_KEY, JSON.stringify(state)); } catch (e) {}
+  }
+  function clearBatchState() {
+    try { localStorage.removeItem(BATCH_KEY); } catch (e) {}
+  }
+
+  // Accepts full URLs or "/channels/..." paths, one per line; jump-to-message IDs are dropped
+  function parseChannelUrls(text) {
+    const urls = (text || '').split(/[\s,]+/).map(line => {
+      const m = /(\/channels\/(?:@me|\d+)\/\d+)/.exec(line);
+      return m ? window.location.origin + m[1] : '';
+    }).filter(Boolean);
+    return Array.from(new Set(urls));
+  }
+
+  // Thread URLs from a forum channel's post list and from threads listed in the channel sidebar
+  function collectForumThreadUrls() {
+    const guildId = window.location.pathname.split('/')[2] || '';
+    const urls = new Set();
+    if (guildId) {
+      // Forum post cards carry the thread's channel ID
+      document.querySelectorAll(selectorUnion('forumThread')).forEach(card => {
+        const id = card.getAttribute('data-item-id') || '';
+        if (/^\d{15,}$/.test(id)) urls.add(window.location.origin + '/channels/' + guildId + '/' + id);
+      });
+    }
+    document.querySelectorAll(selectorUnion('sidebarThreadLink')).forEach(a => {
+      const label = a.getAttribute('aria-label') || '';
+      if (!a.closest(selectorUnion('sidebarThread')) && !/thread/i.test(label)) return;
+      parseChannelUrls(a.getAttribute('href')).forEach(u => urls.add(u));
+    });
+    const current = getChannelKey();
+    return Array.from(urls).filter(u => getChannelKey(u) !== current);
+  }
+
+  // True once the message list shows messages from the given channel
+  function isChannelLoaded(channelId) {
+    const els = getMessageElements();
+    if (!els.length) return false;
+    // List items are "chat-messages-<channelId>-<messageId>"; without them, trust the URL
+    const ids = els.map(n => n.closest(selectorUnion('messageListItem'))?.id || n.getAttribute('data-list-item-id') || '').filter(Boolean);
+    return !ids.length || ids.some(id => id.includes(channelId));
+  }
+
+  // Navigates within the single-page app (Discord's router follows history changes) - no reload
+  async function navigateToChannel(url) {
+    const target = new URL(url, window.location.origin);
+    const channelId = target.pathname.split('/')[3] || '';
+    if (window.location.pathname !== target.pathname) {
+      history.pushState({}, '', target.pathname);
+      window.dispatchEvent(new PopStateEvent('popstate', { state: {} }));
+    }
+    const started = Date.now();
+    while (Date.now() - started < NAVIGATION_TIMEOUT) {
+      await new Promise(r => setTimeout(r, 500));
+      if (window.location.pathname === target.pathname && isChannelLoaded(channelId)) {
+        // Let the list settle before scrolling
+        await new Promise(r => setTimeout(r, AUTO_SCROLL_INTERVAL));
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function buildBatchIndex(state) {
+    const results = state.results || [];
+    if ((state.options || {}).format === 'json') {
+      return JSON.stringify({ startedAt: state.startedAt, exportedAt: new Date().toISOString(), channels: results }, null, 2);
+    }
+    const rows = results.map(r => '<tr>' +
+      '<td>' + (r.filename ? '<a href="' + escapeHtml(r.filename) + '">' + escapeHtml(r.title || r.filename) + '</a>' : escapeHtml(r.title || '')) + '</td>' +
+      '<td>' + (r.messageCount || 0) + '</td>' +
+      '<td>' + escapeHtml(r.status + (r.error ? ': ' + r.error : '')) + '</td>' +
+      '<td><a href="' + escapeHtml(r.url) + '" target="_blank" rel="noopener">Open in Discord</a></td>' +
+      '</tr>').join('\n');
+    return '<!doctype html>\n' +
+      '<html>\n' +
+      '<head>\n' +
+      '<meta charset="utf-8">\n' +
+      buildCspMeta('') +
+      '<title>Discord Batch Export</title>\n' +
+      '<style>body { font-family: -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Arial; margin:20px; } table { border-collapse:collapse; } td, th { border-bottom:1px solid #ddd; padding:6px 10px; text-align:left; }</style>\n' +
+      '</head>\n' +
+      '<body>\n' +
+      '<h2>Discord Batch Export</h2>\n' +
+      '<p>Started ' + escapeHtml(state.startedAt || '') + ' - ' + results.length + ' channel(s)</p>\n' +
+      '<table>\n<tr><th>Channel</th><th>Messages</th><th>Status</th><th>Link</th></tr>\n' + rows + '\n</table>\n' +
+      '</body>\n' +
+      '</html>';
+  }
+
+  // One progress panel and control for the whole queue: Pause holds the current channel, Cancel
+  // stops the batch after (keep) or without (discard) the current channel and still writes the index
+  async function runBatchExport(state) {
+    exportBtn.disabled = true;
+    const originalText = exportBtn.textContent;
+    const control = createExportControl();
+    const panel = createProgressPanel(control);
+    state.running = true;
+    saveBatchState(state);
+    try {
+      while (state.index < state.urls.length) {
+        if (!await control.checkpoint() || control.stopLoading) break;
+        const url = state.urls[state.index];
+        const prefix = 'Batch ' + (state.index + 1) + '/' + state.urls.length + ': ';
+        const status = (text) => {
+          exportBtn.textContent = prefix + text;
+          panel.status(prefix + text);
+        };
+        status('opening channel...');
+        panel.log('Channel ' + (state.index + 1) + '/' + state.urls.length + ': ' + url);
+        let entry;
+        try {
+          if (!await navigateToChannel(url)) throw new Error('No messages loaded');
+          const result = await exportCurrentChannel(state.options, { status, progress: panel.progress, log: panel.log, control });
+          entry = { url, title: result.title || exportTitle(state.options), filename: result.filename || '', messageCount: result.messageCount, status: result.status };
+        } catch (err) {
+          console.error('Batch export failed for', url, err);
+          panel.log('Failed: ' + ((err && err.message) ? err.message : String(err)));
+          entry = { url, title: exportTitle(state.options), filename: '', messageCount: 0, status: 'failed', error: (err && err.message) ? err.message : String(err) };
+        }
+        state.results.push(entry);
+        state.index++;
+        saveBatchState(state);
+        if (control.stopLoading) break;
+      }
+      const stopped = control.stopLoading && state.index < state.urls.length;
+      if (stopped) panel.log('Batch stopped - ' + (state.urls.length - state.index) + ' channel(s) skipped');
+
+      const isJson = state.options.format === 'json';
+      const indexName = 'discord-batch-index-' + Date.now() + (isJson ? '.json' : '.html');
+      downloadBlob(indexName, buildBatchIndex(state), isJson ? 'application/json;charset=utf-8' : 'text/html;charset=utf-8');
+      clearBatchState();
+
+      const failed = state.results.filter(r => r.status === 'failed').length;
+      const label = (stopped || control.stopLoading) ? 'Batch stopped' : 'Batch complete';
+      exportBtn.textContent = label;
+      panel.finish(label + ': ' + state.results.length + ' channel(s)' + (failed ? ', ' + failed + ' failed' : ''));
+      GM_notification && GM_notification({ text: label + ': ' + state.results.length + ' channel(s)' + (failed ? ', ' + failed + ' failed' : ''), title: 'Discord Export', timeout: 6000 });
+      setTimeout(() => { exportBtn.textContent = originalText; exportBtn.disabled = false; }, 1500);
+    } catch (err) {
+      console.error('Batch export failed', err);
+      panel.finish('Batch export failed: ' + (err && err.message ? err.message : err));
+      alert('Batch export failed: ' + (err && err.message ? err.message : err) + '\nThe queue was saved and can be resumed from the Batch dialog.');
+      exportBtn.textContent = originalText;
+      exportBtn.disabled = false;
+    }
+  }
+
   function downloadBlob(filename, content, mime) {
     mime = mime || 'text/html;charset=utf-8';
     const blob = new Blob([content], { type: mime });
@@ -1573,6 +5229,19 @@ Changelog v1.3.0:
 
   ensureButton();
 
+  // Offer to resume a batch that was interrupted by a reload
+  const pendingBatch = loadBatchState();
+  if (pendingBatch && pendingBatch.running && pendingBatch.index < pendingBatch.urls.length) {
+    setTimeout(() => {
+      if (confirm('Resume Discord batch export at channel ' + (pendingBatch.index + 1) + '/' + pendingBatch.urls.length + '?')) {
+        runBatchExport(pendingBatch);
+      } else {
+        pendingBatch.running = false;
+        saveBatchState(pendingBatch);
+      }
+    }, 3000);
+  }
+
   // Keyboard shortcut Ctrl+Shift+E to open modal
   window.addEventListener('keydown', (ev) => {
     if (ev.ctrlKey && ev.shiftKey && ev.code === 'KeyE') openModal();